@@ -2,74 +2,1341 @@ const ENV = process.env.ENV;
 const config = !ENV ? require('./app.config.json') : require(`./app.config.${ENV}.json`);
 const { WebSocketServer } = require('ws');
 const http = require('http');
-const puppeteer = require('puppeteer-core');
-const dns = require('dns');
+const { Readable } = require('stream');
+const crypto = require('crypto');
 const requestHandler = require('./util/request-handler');
-const { bufferToBase64, base64ToBuffer } = require('./util/binary-util');
-const { logger } = require('./util/infra-util');
+const browserPool = require('./util/browser-pool');
+const clientAuth = require('./util/client-auth');
+const waitQueue = require('./util/wait-queue');
+const { sessionStore } = require('./util/session-store');
+const { jobStore } = require('./util/job-store');
+const { FORMATS, exportTable } = require('./util/table-export');
+const { crawlOptions, crawlFrontier } = require('./util/crawl-frontier');
+const { nextCronTime } = require('./util/cron');
+const { compileRules, findRule, applyRule } = require('./util/request-rules');
+const { harLog } = require('./util/har-log');
+const { headerPolicy } = require('./util/header-policy');
+const { emulationProfile, applyEmulation } = require('./util/emulation');
+const { parseProxy, isProxyError, proxyPool } = require('./util/upstream-proxy');
+const { cdpStreamReadable, jsReaderReadable } = require('./util/stream-util');
+const pageRewriter = require('./util/page-rewriter');
+const socketRelay = require('./util/socket-relay');
+const { mirrorRecorder, mirrorDocument } = require('./util/dom-mirror');
+const { runScript } = require('./util/script-sandbox');
+const { ERROR_CODES, commandError, errorCode, checkCommand, callCommand } = require('./util/command-registry');
+const { logger, httpError } = require('./util/infra-util');
 
-// headers that we pass through
-const proxyHeaderNames = ['content-type'];
+// headers of the target's responses that we pass through
+const proxyHeaderPolicy = headerPolicy(config.headers);
 
-// pool of puppeteer-controlled browsers, format of the object TBD
-const pool = new Array(config.browserPool.capacity);
+// topics of the session events the websocket subscribers can filter
+const EVENT_TOPICS = ['request', 'response', 'requestfailed', 'console', 'pageerror', 'dialog', 'navigation', 'popup',
+  'proxy'];
+
+// statuses of the redirects the browser follows
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// headers of the client's request which /fetch doesn't pass to the target:
+// credentials of the proxy, and hop-by-hop ones
+const FETCH_DROPPED_HEADERS = [
+  'x-api-key',
+  'authorization',
+  'connection',
+  'keep-alive',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+// header telling the client URL of the page after redirects
+const FINAL_URL_HEADER = 'x-final-url';
+
+// name of the function exposed to the page to get DOM mirror batches from
+const MIRROR_BINDING = '__proxyMirror';
+
+// interception rules applied to every session after its own ones,
+// see util/request-rules.js
+const defaultRules = compileRules(config.requestRules.defaults);
+
+// upstream proxies the sessions go through, see util/upstream-proxy.js
+const upstreamProxies = proxyPool(config.upstreamProxies);
+
+// browser endpoints which host the sessions
+const browsers = browserPool({
+  ...config.browserPool,
+  onDisconnect: (endpoint) => {
+    // sessions of the disconnected browser are dead,
+    // free their slots and let the clients know
+    pool.forEach((obj) => {
+      if (obj && obj.session && obj.endpoint === endpoint) {
+        killSession(obj.session, 'Browser disconnected');
+      }
+    });
+  },
+  onHealthy: (endpoint) => {
+    // browser is back, let the waiters take its free slots
+    for (let i = endpoint.sessions; i < endpoint.capacity; i++) {
+      sessionQueue.next();
+    }
+  }
+});
+
+// those who wait for a free slot to create a session
+const sessionQueue = waitQueue(config.sessionQueue);
+
+// clients allowed to use the proxy
+const auth = clientAuth(config.auth);
+
+// records of the sessions to restore them after restart
+const sessions = sessionStore(config.sessionStore);
+
+// crawler jobs with their results, so that they outlive the clients
+const jobStorage = jobStore(config.jobStore);
+
+// jobs by ID, records without results (they are only kept in the store),
+// and sockets watching them
+const jobs = new Map();
+
+// schedules of recurring crawls, by ID
+const scheduleStorage = jobStore({ ...config.scheduleStore, key: 'schedule' });
+const schedules = new Map();
+// saved cookies and storage to seed new sessions with, by name
+const profileStorage = jobStore({ ...config.profileStore, key: 'profile' });
+
+// pool of sessions, format of the object TBD
+const pool = new Array(browsers.capacity);
 
 // map of the session ID to the index in the pool
 const sessionToPoolNumber = {};
 
+// when draining, new sessions are refused but existing ones are served,
+// to let them finish before maintenance
+let draining = false;
+
 function sessionObj(session) {
   // get all stuff (browser, page, etc.) from session
   if (!(session in sessionToPoolNumber) || !pool[sessionToPoolNumber[session]]) {
-    throw new Error('Session expired or non-existent.');
+    throw httpError(404, 'Session expired or non-existent.');
   }
   return pool[sessionToPoolNumber[session]];
 }
 
-async function ipifyBrowserUrl() {
-  const url = config.browserPool.browserURL;
-  const urlObj = new URL(url);
-  const { address } = await dns.promises.lookup(urlObj.hostname, {
-    family: 4,
-    hints: dns.ADDRCONFIG,
-  });
+function ownedSessionObj(session, client) {
+  // session can be used only by the client which created it,
+  // for others it doesn't exist
+  const obj = sessionObj(session);
+  if (client && obj.client !== client.id) {
+    throw httpError(404, 'Session expired or non-existent.');
+  }
+  return obj;
+}
 
-  urlObj.hostname = address;
-  return urlObj.toString();
+function clientPermissions(client) {
+  // permissions of websocket commands, see util/command-registry.js
+  return client && client.permissions || config.commands.permissions;
 }
 
-async function createSession() {
+function newSessionId() {
+  // session ID is the only thing that identifies the session in the URLs,
+  // so it must not be guessable. keep it decimal for the routes
+  return BigInt('0x' + crypto.randomBytes(16).toString('hex')).toString();
+}
+
+async function createSession({
+  session = newSessionId(),
+  client = null,
+  state = null,
+  emulation = null,
+  proxy = null,
+  domain = null
+} = {}) {
+  // `state` is cookies and storage to start with, see importState(),
+  // `emulation` is the profile of util/emulation.js, `proxy` is URL of
+  // the upstream proxy, if not set then one of the pool is picked
+  // for `domain` the session is going to visit
+  emulation = emulationProfile(emulation || {});
+  proxy = proxy ? parseProxy(proxy) : upstreamProxies.pick(domain);
+  checkSessionQuota(client);
   const n = pool.findIndex((i) => !i);
-  if (n === -1) {
-    throw new Error('No browser is available.');
+  const endpoint = n !== -1 && browsers.acquire();
+  if (!endpoint) {
+    throw sessionQueue.unavailable('No browser is available.');
+  }
+  pool[n] = { endpoint, client: client && client.id };  // stake a slot before asynchronous browser initialization
+  let browser, context, page, cdp;
+  try {
+    browser = await browsers.connect(endpoint);
+    // sessions sharing the browser must not share cookies and storage
+    context = await browser.createBrowserContext(proxy ? {
+      proxyServer: proxy.server,
+      proxyBypassList: upstreamProxies.bypass,
+    } : {});
+    page = await context.newPage();
+    if (proxy && proxy.username) {
+      // answer the proxy's auth challenges
+      await page.authenticate({ username: proxy.username, password: proxy.password });
+    }
+    cdp = await page.createCDPSession();
+  } catch (e) {
+    if (context) {
+      context.close().catch(() => {});
+    }
+    delete pool[n];
+    browsers.release(endpoint);
+    sessionQueue.next();
+    throw e;
   }
-  pool[n] = {};  // stake a slot before asynchronous browser initialization
-  const browser = await puppeteer.connect({ browserURL: await ipifyBrowserUrl() });
-  const page = await browser.newPage();
-  const session = Math.random().toString().substring(2);
   pool[n] = {
     session,
+    client: client && client.id,
+    endpoint,
     browser,
+    context,
     page,
+    cdp,
     interceptor: startIntercept(session, page),
+    har: harLog(page, config.har),  // network log, see GET /<session-id>/har
+    scripts: new Map(),  // running crawler scripts by message id
+    lastScript: 0,  // number of the last script sent without id
+    subscribers: new Map(),  // websockets subscribed to the events, see subscribe()
+    dialogs: new Map(),  // open dialogs waiting for the answer by id
+    lastDialog: 0,
+    rules: { rules: [], compiled: [], defaults: true, enabled: false },
+    emulation: {},
+    proxy,  // upstream proxy, see util/upstream-proxy.js
+    proxyError: null,  // last failure of the proxy reported to the subscribers
+    pendingStorage: new Map(),  // storage to fill by origin when the page gets there, see importState()
+    storageScript: Promise.resolve(null),  // identifier of the script filling it
     createdAt: Date.now(),
     accessedAt: Date.now()
   };
   sessionToPoolNumber[session] = n;
+  publishPageEvents(pool[n]);
+  watchProxy(pool[n]);
+  watchStorage(pool[n]);
+  interceptRules(pool[n]);
+  try {
+    await setSessionRules(pool[n], [], true);
+    await applyEmulation(pool[n], emulation);
+    pool[n].emulation = emulation;
+    if (state) {
+      await importState(pool[n], state);
+    }
+  } catch (e) {
+    await deleteSession(session).catch(() => {});
+    throw e;
+  }
+  // persist the state every time a page is loaded
+  page.on('load', () => {
+    saveSession(session).catch((e) => logger.warn(e));
+  });
   return session;
 }
 
-async function deleteSession(session) {
+function checkSessionQuota(client) {
+  if (client && client.maxSessions &&
+      pool.filter((obj) => obj && obj.client === client.id).length >= client.maxSessions) {
+    throw httpError(429, `Exceeded session quota ${client.maxSessions}`);
+  }
+}
+
+async function acquireSession(options, { wait, onPosition, signal }) {
+  // create a session, if there is no free slot then wait in the queue
+  // until some session is released
+  if (draining) {
+    throw httpError(503, 'Proxy is under maintenance, no new sessions are accepted.');
+  }
+  // don't wait for a slot which can't be taken anyway,
+  // nor with the options the session can't be created with
+  checkSessionQuota(options.client);
+  emulationProfile(options.emulation || {});
+  if (options.proxy) {
+    parseProxy(options.proxy);
+  }
+  // wait time is counted from the start, not from every wait
+  const deadline = Date.now() + config.sessionQueue.maxWait;
+  let turn = false;
+  for (;;) {
+    if (signal && signal.aborted) {
+      if (turn) {
+        // pass the turn on, not to leave the free slot idle
+        sessionQueue.next();
+      }
+      throw new Error('Waiting cancelled');
+    }
+    // don't jump the queue unless it's our turn
+    if (turn || !sessionQueue.length) {
+      let session;
+      try {
+        session = await createSession(options);
+      } catch (e) {
+        if (e.statusCode !== 503 || !wait) {
+          if (turn) {
+            sessionQueue.next();
+          }
+          throw e;
+        }
+      }
+      if (session) {
+        if (signal && signal.aborted) {
+          // nobody is there to take the session
+          await deleteSession(session).catch((e) => logger.warn(e));
+          throw new Error('Waiting cancelled');
+        }
+        return session;
+      }
+    } else if (!wait) {
+      throw sessionQueue.unavailable('No browser is available.');
+    }
+    await sessionQueue.wait({ onPosition, signal, first: turn, deadline });
+    turn = true;
+  }
+}
+
+function releaseSession(session) {
+  // remove session from the pool, without touching the page
   const n = sessionToPoolNumber[session];
   if (typeof n == 'number') {
-    const { page, interceptor } = pool[n];
-    await page.close();
+    const { endpoint, interceptor, scripts, dialogs } = pool[n];
     interceptor.clear();
+    scripts.forEach((script) => script.cancel());
+    dialogs.forEach(({ timer }) => clearTimeout(timer));
     delete pool[n];
     delete sessionToPoolNumber[session];
+    browsers.release(endpoint);
+    sessionQueue.next();
+    sessions.remove(session).catch((e) => logger.warn(e));
+  }
+}
+
+async function deleteSession(session) {
+  const n = sessionToPoolNumber[session];
+  if (typeof n == 'number') {
+    const { context } = pool[n];
+    releaseSession(session);
+    await context.close();
+  }
+}
+
+function killSession(session, reason) {
+  // session can't be used anymore, e.g. because its browser has gone
+  const obj = pool[sessionToPoolNumber[session]];
+  if (obj) {
+    logger.warn('Session %s is dead: %s', session, reason);
+    publish(obj, null, { type: "dead", reason });
+    releaseSession(session);
+  }
+}
+
+function subscribe(obj, ws, { topics, resourceTypes } = {}) {
+  // subscribe the websocket to the events of the session, of all topics
+  // and resource types, or only of the given ones
+  for (const topic of topics || []) {
+    if (!EVENT_TOPICS.includes(topic)) {
+      throw commandError(ERROR_CODES.INVALID_ARGUMENTS,
+          `Unknown topic: ${topic}, supported are ${EVENT_TOPICS.join(', ')}`);
+    }
+  }
+  const subscription = {
+    topics: topics ? [...topics] : null,
+    resourceTypes: resourceTypes ? resourceTypes.map(String) : null,
+  };
+  obj.subscribers.set(ws, { ...subscription, dropped: 0 });
+  return subscription;
+}
+
+function publish(obj, topic, message, resourceType) {
+  // send the event to the subscribers of its topic (null means any topic);
+  // if a subscriber doesn't keep up, its events are dropped until it
+  // drains its buffer, and then it's told how many were dropped
+  const data = JSON.stringify({ ...message, session: obj.session });
+  obj.subscribers.forEach((subscriber, ws) => {
+    if (topic && ((subscriber.topics && !subscriber.topics.includes(topic)) ||
+        (resourceType && subscriber.resourceTypes && !subscriber.resourceTypes.includes(resourceType)))) {
+      return;
+    }
+    if (ws.bufferedAmount > config.events.maxBufferedAmount) {
+      subscriber.dropped++;
+      return;
+    }
+    if (subscriber.dropped) {
+      ws.send(JSON.stringify({ type: "dropped", dropped: subscriber.dropped, session: obj.session }));
+      subscriber.dropped = 0;
+    }
+    ws.send(data);
+  });
+}
+
+function publishPageEvents(obj) {
+  // events of the page besides the request and response ones, which are
+  // published by the interceptor
+  const { page } = obj;
+  page.on('console', (message) => {
+    const { url, lineNumber, columnNumber } = message.location();
+    publish(obj, 'console', {
+      type: "console",
+      console: { type: message.type(), text: message.text(), location: { url, lineNumber, columnNumber } },
+    });
+  });
+  page.on('pageerror', (error) => {
+    publish(obj, 'pageerror', {
+      type: "pageerror",
+      pageerror: { message: error.message || String(error), stack: error.stack || null },
+    });
+  });
+  page.on('requestfailed', (request) => {
+    publish(obj, 'requestfailed', {
+      type: "requestfailed",
+      requestfailed: {
+        url: request.url(),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        errorText: request.failure() ? request.failure().errorText : null,
+      },
+    }, request.resourceType());
+  });
+  page.on('dialog', (dialog) => {
+    waitDialog(obj, dialog);
+  });
+  page.on('framenavigated', (frame) => {
+    if (frame === page.mainFrame()) {
+      publish(obj, 'navigation', { type: "navigation", navigation: { url: frame.url() } });
+    }
+  });
+  for (const event of ['domcontentloaded', 'load']) {
+    page.on(event, () => {
+      publish(obj, 'navigation', { type: event, [event]: { url: page.url() } });
+    });
+  }
+  page.on('popup', (popup) => {
+    publish(obj, 'popup', { type: "popup", popup: { url: popup ? popup.url() : null } });
+  });
+}
+
+function watchProxy(obj) {
+  // mark the upstream proxy unhealthy when the page's requests fail
+  // because of it, and let the subscribers know
+  const { page, proxy } = obj;
+  if (!proxy) {
+    return;
+  }
+  const fail = (error, url) => {
+    upstreamProxies.markUnhealthy(proxy.url, error);
+    if (obj.proxyError !== error) {
+      obj.proxyError = error;
+      publish(obj, 'proxy', { type: "proxy", proxy: { server: proxy.server, error, url } });
+    }
+  };
+  page.on('requestfailed', (request) => {
+    const errorText = request.failure() ? request.failure().errorText : null;
+    if (isProxyError(errorText)) {
+      fail(errorText, request.url());
+    }
+  });
+  page.on('response', (response) => {
+    if (response.status() === 407) {
+      // credentials are missing or rejected
+      fail('Proxy authentication failed', response.url());
+    } else if (!response.fromCache()) {
+      obj.proxyError = null;
+    }
+  });
+}
+
+function waitDialog(obj, dialog) {
+  // let the subscribers answer the dialog, the page is blocked until
+  // then; it's answered by default if nobody is there, or nobody answers
+  // in time: beforeunload is accepted, so as not to cancel the navigation,
+  // others are dismissed
+  const accept = dialog.type() === 'beforeunload';
+  const subscribed = [...obj.subscribers.values()]
+      .some(({ topics }) => !topics || topics.includes('dialog'));
+  if (!subscribed) {
+    (accept ? dialog.accept() : dialog.dismiss()).catch((e) => logger.warn(e));
+    return;
+  }
+  const id = ++obj.lastDialog;
+  const timer = setTimeout(() => {
+    answerDialog(obj, id, { accept }).catch((e) => logger.warn(e));
+  }, config.events.dialogTimeout);
+  obj.dialogs.set(id, { dialog, timer });
+  publish(obj, 'dialog', {
+    type: "dialog",
+    dialog: { id, type: dialog.type(), message: dialog.message(), defaultValue: dialog.defaultValue() },
+  });
+}
+
+async function answerDialog(obj, id, { accept, text }) {
+  // accept or dismiss the dialog, `text` is the answer to prompt
+  const entry = obj.dialogs.get(id);
+  if (!entry) {
+    throw commandError(ERROR_CODES.NOT_FOUND, `Dialog ${id} is not open`);
+  }
+  obj.dialogs.delete(id);
+  clearTimeout(entry.timer);
+  if (accept) {
+    await entry.dialog.accept(text === undefined ? undefined : String(text));
+  } else {
+    await entry.dialog.dismiss();
+  }
+}
+
+function interceptRules(obj) {
+  // resolve the requests of the page by the rules, while interception is on
+  obj.page.on('request', (request) => {
+    if (!obj.rules.enabled) {
+      return;
+    }
+    const rule = findRule(obj.rules.compiled, request) ||
+        (obj.rules.defaults ? findRule(defaultRules, request) : null);
+    applyRule(rule, request).catch((e) => {
+      logger.warn('Failed to apply rule to %s: %s', request.url(), e);
+    });
+  });
+}
+
+async function setSessionRules(obj, rules, defaults) {
+  // set interception rules of the session, `defaults` tells whether
+  // the default rules apply after them; interception is only on if needed,
+  // as it disables the browser cache
+  const compiled = compileRules(rules);
+  const enabled = compiled.length > 0 || (defaults && defaultRules.length > 0);
+  obj.rules = { rules, compiled, defaults, enabled: obj.rules.enabled };
+  if (enabled !== obj.rules.enabled) {
+    await obj.page.setRequestInterception(enabled);
+    obj.rules.enabled = enabled;
+  }
+}
+
+function cookieRecord(cookie) {
+  // cookie as it can be set back
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    // session cookies don't have expiration date
+    expires: cookie.session ? undefined : cookie.expires,
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite,
+  };
+}
+
+async function storageItems(cdp, origin, isLocalStorage) {
+  // local or session storage of the origin, as object
+  const { entries } = await cdp.send('DOMStorage.getDOMStorageItems', {
+    storageId: { securityOrigin: origin, isLocalStorage },
+  });
+  return Object.fromEntries(entries);
+}
+
+function stringValues(items) {
+  // storage items as the storage keeps them
+  return Object.fromEntries(Object.entries(items).map(([key, value]) => [key, String(value)]));
+}
+
+async function frameOrigins(cdp) {
+  // origins of the current page and its frames, opaque ones aside;
+  // storage is only reachable through a frame of its origin
+  const origins = new Set();
+  const collect = ({ frame, childFrames = [] }) => {
+    if (/^https?:\/\//.test(frame.securityOrigin || '')) {
+      origins.add(frame.securityOrigin);
+    }
+    childFrames.forEach(collect);
+  };
+  collect((await cdp.send('Page.getFrameTree')).frameTree);
+  return origins;
+}
+
+async function exportState({ cdp, pendingStorage }) {
+  // cookies of the session, and storage of the origins of the current page,
+  // along with storage imported for the origins not visited yet:
+  // {"cookies": [...], "origins": [{"origin": ..., "localStorage": {...},
+  // "sessionStorage": {...}}]}
+  const { cookies } = await cdp.send('Network.getAllCookies');
+  const origins = await frameOrigins(cdp);
+  await cdp.send('DOMStorage.enable');
+  return {
+    cookies: cookies.map(cookieRecord),
+    origins: [
+      ...await Promise.all([...origins].map(async (origin) => ({
+        origin,
+        localStorage: await storageItems(cdp, origin, true),
+        sessionStorage: await storageItems(cdp, origin, false),
+      }))),
+      ...[...pendingStorage].filter(([origin]) => !origins.has(origin))
+          .map(([origin, storage]) => ({ origin, ...storage })),
+    ],
+  };
+}
+
+function checkState(state) {
+  // validate cookies and storage in the format of exportState()
+  const { cookies = [], origins = [] } = state || {};
+  const isItems = (items) => items == null || (typeof items == 'object' && !Array.isArray(items));
+  if (!Array.isArray(cookies) || !Array.isArray(origins) ||
+      !origins.every((item) => item && typeof item.origin == 'string' &&
+          isItems(item.localStorage) && isItems(item.sessionStorage))) {
+    throw httpError(400, 'State must have arrays of cookies and of origins with their storage');
+  }
+  return { cookies, origins };
+}
+
+function updateStorageScript(obj) {
+  // (re)register the script filling storage of the pending origins before
+  // any page script would read it; updates are chained not to race
+  const update = obj.storageScript.then(async (identifier) => {
+    if (identifier) {
+      await obj.page.removeScriptToEvaluateOnNewDocument(identifier);
+    }
+    if (!obj.pendingStorage.size) {
+      return null;
+    }
+    const script = await obj.page.evaluateOnNewDocument((pending) => {
+      const storage = pending[window.location.origin];
+      if (storage) {
+        for (const [key, value] of Object.entries(storage.localStorage)) {
+          window.localStorage.setItem(key, value);
+        }
+        for (const [key, value] of Object.entries(storage.sessionStorage)) {
+          window.sessionStorage.setItem(key, value);
+        }
+      }
+    }, Object.fromEntries(obj.pendingStorage));
+    return script.identifier;
+  });
+  obj.storageScript = update.catch(() => null);
+  return update;
+}
+
+function watchStorage(obj) {
+  // pending storage is filled by the first document of its origin only,
+  // later ones must find what the page has made of it
+  obj.page.on('framenavigated', (frame) => {
+    let origin;
+    try {
+      origin = new URL(frame.url()).origin;
+    } catch (e) {
+      return;
+    }
+    if (obj.pendingStorage.delete(origin)) {
+      updateStorageScript(obj).catch((e) => logger.warn(e));
+    }
+  });
+}
+
+async function importState(obj, state) {
+  // add cookies and storage items in the format of exportState() to the session;
+  // storage of the origins the page is not at is added when it gets there
+  const { page, cdp } = obj;
+  const { cookies, origins } = checkState(state);
+  if (cookies.length) {
+    try {
+      await page.setCookie(...cookies);
+    } catch (e) {
+      throw httpError(400, `Invalid cookies: ${e.message}`);
+    }
+  }
+  const current = await frameOrigins(cdp);
+  await cdp.send('DOMStorage.enable');
+  for (const { origin, localStorage = {}, sessionStorage = {} } of origins) {
+    if (!current.has(origin)) {
+      const pending = obj.pendingStorage.get(origin) || { localStorage: {}, sessionStorage: {} };
+      obj.pendingStorage.set(origin, {
+        localStorage: { ...pending.localStorage, ...stringValues(localStorage) },
+        sessionStorage: { ...pending.sessionStorage, ...stringValues(sessionStorage) },
+      });
+      continue;
+    }
+    for (const [items, isLocalStorage] of [[localStorage, true], [sessionStorage, false]]) {
+      for (const [key, value] of Object.entries(items)) {
+        try {
+          await cdp.send('DOMStorage.setDOMStorageItem', {
+            storageId: { securityOrigin: origin, isLocalStorage },
+            key,
+            value: String(value),
+          });
+        } catch (e) {
+          throw httpError(400, `Invalid storage of ${origin}: ${e.message}`);
+        }
+      }
+    }
+  }
+  await updateStorageScript(obj);
+}
+
+async function ownedProfile(profile, client) {
+  // profile can be seen only by the client which saved it
+  const record = await profileStorage.get(profile);
+  if (!record || (client && record.client !== client.id)) {
+    throw httpError(404, 'Profile non-existent.');
+  }
+  return record;
+}
+
+async function saveProfile({ client, profile, state }) {
+  // save cookies and storage as the named profile, to seed new sessions with
+  if (!/^[\w-]+$/.test(profile)) {
+    throw httpError(400, 'Profile name must consist of letters, digits, "_" and "-"');
+  }
+  const existing = await profileStorage.get(profile);
+  if (existing && client && existing.client !== client.id) {
+    throw httpError(409, 'Profile name is taken.');
+  }
+  const record = {
+    profile,
+    client: client && client.id,
+    state: checkState(state),
+    createdAt: existing ? existing.createdAt : Date.now(),
+    updatedAt: Date.now(),
+  };
+  await profileStorage.save(record);
+  return record;
+}
+
+async function saveSession(session) {
+  // record the state of the session to the session store
+  const { client, page, cdp, rules, emulation, proxy, createdAt } = sessionObj(session);
+  const url = page.url();
+  const { currentIndex, entries } = await cdp.send('Page.getNavigationHistory');
+  const cookies = await page.cookies(
+      ...entries.map((entry) => entry.url).filter((url) => /^https?:/.test(url)));
+  const localStorage = await page.evaluate(() => {
+    try {
+      return Object.assign({}, window.localStorage);
+    } catch (e) {
+      // storage is not accessible for opaque origins such as about:blank
+      return {};
+    }
+  });
+  await sessions.save({
+    session,
+    client,
+    url,
+    history: {
+      currentIndex,
+      entries: entries.map(({ url, title }) => ({ url, title })),
+    },
+    cookies: cookies.map(cookieRecord),
+    localStorage: {
+      origin: /^https?:/.test(url) ? new URL(url).origin : null,
+      items: localStorage,
+    },
+    rules: { rules: rules.rules, defaults: rules.defaults },
+    emulation,
+    // credentials are looked up in the config on restore
+    proxy: proxy && proxy.server,
+    createdAt,
+  });
+}
+
+async function restoreSession(record) {
+  // re-create the session recorded in the session store
+  // in a fresh page of some browser from the pool
+  const session = await createSession({
+    session: record.session,
+    // session may outlive its client if the latter is removed from config
+    client: record.client && config.auth.clients.find((c) => c.id === record.client) || null,
+    emulation: record.emulation,
+    proxy: record.proxy && upstreamProxies.credentials(record.proxy),
+  });
+  const obj = sessionObj(session);
+  obj.createdAt = record.createdAt;
+  if (record.rules) {
+    await setSessionRules(obj, record.rules.rules, record.rules.defaults);
+  }
+  const { page } = obj;
+  if (record.cookies.length) {
+    await page.setCookie(...record.cookies);
+  }
+  // fill local storage before any page script would read it
+  const { identifier } = await page.evaluateOnNewDocument((origin, items) => {
+    if (window.location.origin === origin) {
+      for (const [key, value] of Object.entries(items)) {
+        window.localStorage.setItem(key, value);
+      }
+    }
+  }, record.localStorage.origin, record.localStorage.items);
+  try {
+    // replay back history, so that go-back works as before;
+    // forward history is lost
+    const { currentIndex, entries } = record.history;
+    for (let i = 0; i < currentIndex; i++) {
+      await page.goto(entries[i].url, { waitUntil: 'domcontentloaded' });
+    }
+    await page.goto(record.url);
+  } finally {
+    await page.removeScriptToEvaluateOnNewDocument(identifier);
+  }
+}
+
+async function restoreSessions() {
+  for (const record of await sessions.load()) {
+    try {
+      await restoreSession(record);
+      logger.info('Session %s restored', record.session);
+    } catch (e) {
+      logger.warn('Failed to restore session %s: %s', record.session, e);
+      await deleteSession(record.session).catch(() => {});
+      // the rest are restored anyway
+      await sessions.remove(record.session).catch((e) => logger.warn(e));
+    }
+  }
+}
+
+async function shutdown() {
+  // save sessions to restore them after restart, and close their pages
+  // so that they don't hang in the browsers
+  await Promise.all(pool.filter((obj) => obj && obj.session).map(async ({ session, context }) => {
+    try {
+      await saveSession(session);
+      await context.close();
+    } catch (e) {
+      logger.warn(e);
+    }
+  }));
+  process.exit(0);
+}
+
+function jobInfo(record) {
+  // job as reported to the clients
+  const { job, session, crawl, pages, status, createdAt, startedAt, finishedAt, rows, error, logs } = record;
+  return { job, session, crawl, pages, status, createdAt, startedAt, finishedAt, rows, error, logs };
+}
+
+function ownedJob(job, client) {
+  // job can be seen only by the client which submitted it
+  const entry = jobs.get(job);
+  if (!entry || (client && entry.record.client !== client.id)) {
+    throw httpError(404, 'Job non-existent.');
+  }
+  return entry;
+}
+
+async function updateJob(entry, changes, result) {
+  Object.assign(entry.record, changes);
+  const message = JSON.stringify({ type: "job", job: jobInfo(entry.record) });
+  entry.watchers.forEach((ws) => ws.send(message));
+  await jobStorage.save(result === undefined ? entry.record : { ...entry.record, result });
+}
+
+function logJob(entry, log) {
+  // keep the last logs, they are saved with the next update
+  const { record } = entry;
+  record.logs.push(log);
+  if (record.logs.length > config.jobs.maxLogs) {
+    record.logs.shift();
+  }
+  const message = JSON.stringify({ type: "log", log, job: record.job });
+  entry.watchers.forEach((ws) => ws.send(message));
+}
+
+async function runJobScript(entry, client) {
+  // run the script in the given session, or in a session of its own
+  const { record } = entry;
+  let session = record.session;
+  const own = !session;
+  try {
+    if (own) {
+      const controller = new AbortController();
+      entry.cancel = () => controller.abort();
+      session = await acquireSession({ client }, { wait: true, signal: controller.signal });
+    }
+    const obj = ownedSessionObj(session, client);
+    await updateJob(entry, { status: 'running', startedAt: Date.now(), session });
+    if (entry.cancelled) {
+      throw new Error('Job cancelled');
+    }
+    entry.cancel = () => cancelSessionScript(entry, obj);
+    return await runSessionScript(entry, obj, client, record.script);
+  } finally {
+    if (own && session) {
+      await deleteSession(session).catch((e) => logger.warn(e));
+    }
+  }
+}
+
+function checkScriptSlots(obj) {
+  // the session's scripts are limited, besides the limit of all the scripts
+  if (obj.scripts.size >= config.sandbox.maxSessionScripts) {
+    throw commandError(ERROR_CODES.BUSY,
+        `Exceeded ${config.sandbox.maxSessionScripts} running scripts of the session`);
+  }
+}
+
+async function runSessionScript(entry, obj, client, source) {
+  // run the script of the job in the session
+  checkScriptSlots(obj);
+  const script = runScript(source, obj.page, {
+    ...config.sandbox,
+    permissions: clientPermissions(client),
+    onLog: (log) => logJob(entry, log),
+  });
+  const key = `job:${entry.record.job}`;
+  // session must not expire while the script is running,
+  // and scripts of the session are cancelled when it's deleted
+  obj.accessedAt = Date.now() + config.sandbox.timeout;
+  obj.scripts.set(key, script);
+  try {
+    return await script.promise;
+  } finally {
+    obj.scripts.delete(key);
+    obj.accessedAt = Date.now();
+  }
+}
+
+function cancelSessionScript(entry, obj) {
+  const script = obj.scripts.get(`job:${entry.record.job}`);
+  if (script) {
+    script.cancel();
+  }
+}
+
+async function runCrawl(entry, client) {
+  // visit the pages of the crawl in sessions of its own, running the script
+  // on every page; result is rows of all the pages, with URL of the page
+  // prepended to every row
+  const { record } = entry;
+  const { crawl } = record;
+  const frontier = crawlFrontier(crawl);
+  const controller = new AbortController();
+  const rows = [];
+  // sessions of the workers
+  const objs = new Set();
+  entry.cancel = () => {
+    frontier.stop();
+    controller.abort();
+    objs.forEach((obj) => cancelSessionScript(entry, obj));
+  };
+  const progress = () => ({ ...frontier.stats, queued: frontier.queued });
+  await updateJob(entry, { status: 'running', startedAt: Date.now(), pages: progress() });
+
+  async function visit(obj, { url, depth }) {
+    await obj.page.goto(url, { timeout: config.crawls.navigationTimeout });
+    if (depth < crawl.follow.depth) {
+      const links = await obj.page.$$eval('a[href]', (links) => links.map((a) => a.href));
+      links.forEach((link) => frontier.add(link, depth + 1));
+    }
+    if (!crawl.script) {
+      rows.push([url]);
+      return;
+    }
+    const result = await runSessionScript(entry, obj, client, crawl.script);
+    (Array.isArray(result) ? result : [result]).forEach((row) => {
+      rows.push([url, ...(Array.isArray(row) ? row : [row])]);
+    });
+  }
+
+  async function worker() {
+    const session = await acquireSession({ client }, { wait: true, signal: controller.signal });
+    const obj = sessionObj(session);
+    objs.add(obj);
+    try {
+      let item;
+      // session may die meanwhile, then the rest is left to other workers
+      while (session in sessionToPoolNumber && (item = await frontier.next())) {
+        try {
+          await visit(obj, item);
+          frontier.done(item);
+        } catch (e) {
+          if (!frontier.fail(item)) {
+            logJob(entry, [`Failed to visit ${item.url}: ${e.message}`]);
+          }
+        }
+        await updateJob(entry, { pages: progress() });
+      }
+      if (item === null) {
+        // the crawl is over, don't let other workers wait for sessions
+        controller.abort();
+      }
+    } finally {
+      objs.delete(obj);
+      await deleteSession(session).catch((e) => logger.warn(e));
+    }
+  }
+
+  const results = await Promise.allSettled(Array.from({ length: crawl.concurrency }, worker));
+  if (!entry.cancelled && results.every(({ status }) => status === 'rejected')) {
+    throw results[0].reason;
+  }
+  return rows;
+}
+
+async function runJob(entry, client) {
+  const { record } = entry;
+  try {
+    const result = record.crawl ? await runCrawl(entry, client) : await runJobScript(entry, client);
+    if (entry.cancelled) {
+      throw new Error('Job cancelled');
+    }
+    await updateJob(entry, {
+      status: 'done',
+      finishedAt: Date.now(),
+      rows: Array.isArray(result) ? result.length : 1,
+    }, result);
+  } catch (e) {
+    logger.warn('Job %s failed: %s', record.job, e);
+    await updateJob(entry, {
+      status: entry.cancelled ? 'cancelled' : 'failed',
+      finishedAt: Date.now(),
+      error: e.message,
+    });
+  } finally {
+    entry.cancel = null;
+  }
+}
+
+async function submitJob({ client, script, crawl, session = null, watcher }) {
+  // submit crawler script, or a crawl of many pages (see util/crawl-frontier.js),
+  // to run in the background, `watcher` is a websocket to report the progress to
+  if (!clientPermissions(client).includes('script')) {
+    throw httpError(403, 'Permission "script" is required for jobs');
+  }
+  if (crawl !== undefined) {
+    crawl = crawlOptions(crawl, config.crawls);
+    session = null;
+  } else if (typeof script != 'string') {
+    throw httpError(400, 'Script must be a string');
+  }
+  if (session !== null) {
+    ownedSessionObj(String(session), client);
+  }
+  const record = {
+    job: crypto.randomUUID(),
+    client: client && client.id,
+    session: session === null ? null : String(session),
+    script: crawl ? null : script,
+    crawl: crawl || null,
+    pages: null,
+    status: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    rows: null,
+    error: null,
+    logs: [],
+  };
+  const entry = { record, watchers: new Set(watcher ? [watcher] : []), cancel: null, cancelled: false };
+  jobs.set(record.job, entry);
+  await jobStorage.save(record);
+  runJob(entry, client).catch((e) => logger.warn(e));
+  return entry;
+}
+
+async function removeJob(job) {
+  // cancel the job if it's not finished, or forget it otherwise
+  const entry = jobs.get(job);
+  if (entry.record.status === 'queued' || entry.record.status === 'running') {
+    entry.cancelled = true;
+    if (entry.cancel) {
+      entry.cancel();
+    }
+  } else {
+    jobs.delete(job);
+    await jobStorage.remove(job);
+  }
+}
+
+async function restoreJobs() {
+  // jobs which were in progress when the proxy stopped can't be resumed
+  for (const { result, ...record } of await jobStorage.load()) {
+    const entry = { record, watchers: new Set(), cancel: null, cancelled: false };
+    jobs.set(record.job, entry);
+    if (record.status === 'queued' || record.status === 'running') {
+      await updateJob(entry, {
+        status: 'failed',
+        finishedAt: Date.now(),
+        error: 'Interrupted by restart',
+      });
+    }
   }
 }
 
-// clean up old sessions
+function ownedSchedule(schedule, client) {
+  // schedule can be seen only by the client which created it
+  const record = schedules.get(schedule);
+  if (!record || (client && record.client !== client.id)) {
+    throw httpError(404, 'Schedule non-existent.');
+  }
+  return record;
+}
+
+async function addSchedule({ client, cron, crawl }) {
+  // schedule the crawl to be submitted as a job at times of cron expression
+  if (!clientPermissions(client).includes('script')) {
+    throw httpError(403, 'Permission "script" is required for schedules');
+  }
+  let nextRunAt;
+  try {
+    nextRunAt = nextCronTime(cron);
+  } catch (e) {
+    throw httpError(400, e.message);
+  }
+  const record = {
+    schedule: crypto.randomUUID(),
+    client: client && client.id,
+    cron,
+    crawl: crawlOptions(crawl, config.crawls),
+    createdAt: Date.now(),
+    nextRunAt,
+    lastJob: null,
+  };
+  schedules.set(record.schedule, record);
+  await scheduleStorage.save(record);
+  return record;
+}
+
+async function removeSchedule(schedule) {
+  schedules.delete(schedule);
+  await scheduleStorage.remove(schedule);
+}
+
+function runSchedules() {
+  // submit the crawls whose time has come, unless their previous run
+  // is still in progress
+  schedules.forEach((record) => {
+    if (record.nextRunAt > Date.now()) {
+      return;
+    }
+    record.nextRunAt = nextCronTime(record.cron);
+    const last = record.lastJob && jobs.get(record.lastJob);
+    if (last && (last.record.status === 'queued' || last.record.status === 'running')) {
+      logger.warn('Schedule %s is skipped, job %s is still in progress', record.schedule, record.lastJob);
+      scheduleStorage.save(record).catch((e) => logger.warn(e));
+      return;
+    }
+    // schedule may outlive its client if the latter is removed from config
+    const client = record.client && config.auth.clients.find((c) => c.id === record.client) || null;
+    submitJob({ client, crawl: record.crawl }).then(({ record: job }) => {
+      record.lastJob = job.job;
+    }).catch((e) => {
+      logger.warn('Failed to submit job of schedule %s: %s', record.schedule, e);
+    }).then(() => scheduleStorage.save(record)).catch((e) => logger.warn(e));
+  });
+}
+
+async function restoreSchedules() {
+  for (const record of await scheduleStorage.load()) {
+    schedules.set(record.schedule, record);
+  }
+}
+
+function getRewriterOptions(session, proxyhost) {
+  // "/proxy/" is a public path of our web server
+  return { proxyroot: '/proxy/' + session, proxyhost };
+}
+
+async function startMirror(obj, proxyhost) {
+  // start recording DOM of the page (current and all the next documents),
+  // and sending it to the subscribers, see util/dom-mirror.js
+  if (!obj.mirror) {
+    obj.mirror = { subscribers: new Set(), seq: 0 };
+    obj.mirror.ready = (async () => {
+      const { session, page } = obj;
+      await page.exposeFunction(MIRROR_BINDING, (batch) => {
+        // the binding can be called by the page's own scripts too,
+        // only the DOM data passes
+        const { snapshot, patches } = batch || {};
+        if (snapshot === undefined && patches === undefined) {
+          return;
+        }
+        const message = JSON.stringify({ type: "mirror", seq: ++obj.mirror.seq, snapshot, patches, session });
+        obj.mirror.subscribers.forEach((ws) => ws.send(message));
+      });
+      const script = `(${mirrorRecorder})(` +
+          `(${pageRewriter})(${JSON.stringify(getRewriterOptions(session, proxyhost))}), ` +
+          `${JSON.stringify(MIRROR_BINDING)})`;
+      await page.evaluateOnNewDocument(script);
+      await page.evaluate(script);
+    })();
+  }
+  await obj.mirror.ready;
+}
+
+async function startScreencast(obj, ws, options) {
+  // stream frames of the page to the subscribers, the screencast is
+  // started by the first subscriber and stopped when the last one leaves
+  if (!obj.screencast) {
+    const { cdp } = obj;
+    obj.screencast = { subscribers: new Set() };
+    cdp.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+      if (obj.screencast) {
+        // someone is watching the session
+        obj.accessedAt = Date.now();
+        const message = JSON.stringify({ type: "frame", frame: { data, metadata }, session: obj.session });
+        obj.screencast.subscribers.forEach((ws) => {
+          // a subscriber which doesn't keep up misses the frames, the next ones
+          // show the page as well
+          if (ws.bufferedAmount <= config.events.maxBufferedAmount) {
+            ws.send(message);
+          }
+        });
+      }
+      cdp.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+    });
+    await cdp.send('Page.startScreencast', { ...config.screencast, ...options });
+  }
+  obj.screencast.subscribers.add(ws);
+}
+
+async function stopScreencast(obj, ws) {
+  if (obj.screencast) {
+    obj.screencast.subscribers.delete(ws);
+    if (!obj.screencast.subscribers.size) {
+      obj.screencast = null;
+      obj.cdp.removeAllListeners('Page.screencastFrame');
+      await obj.cdp.send('Page.stopScreencast');
+    }
+  }
+}
+
+function checkInput(input) {
+  // input may come from a stale or tampered page, it must be rejected
+  // before anything is done in the browser
+  if (!input || typeof input != 'object') {
+    throw httpError(400, 'Input must be an object');
+  }
+  const isNumber = (value) => typeof value == 'number' && Number.isFinite(value);
+  // node is null if the input isn't targeted at an element
+  if (input.node != null && !isNumber(input.node)) {
+    throw httpError(400, 'Input node must be a number');
+  }
+  switch (input.type) {
+    case 'click':
+    case 'scroll':
+      if (!isNumber(input.x) || !isNumber(input.y)) {
+        throw httpError(400, `Input ${input.type} must have x and y`);
+      }
+      break;
+
+    case 'key':
+      if (typeof input.key != 'string' || !input.key) {
+        throw httpError(400, 'Input key must have key');
+      }
+      if (input.modifiers !== undefined &&
+          (!Array.isArray(input.modifiers) || input.modifiers.some((modifier) => typeof modifier != 'string'))) {
+        throw httpError(400, 'Input key modifiers must be an array of strings');
+      }
+      break;
+
+    case 'select':
+      if (input.node == null) {
+        throw httpError(400, 'Input select must have node');
+      }
+      if (!Array.isArray(input.value) || input.value.some((value) => typeof value != 'string')) {
+        throw httpError(400, 'Input select value must be an array of strings');
+      }
+      break;
+
+    case 'submit':
+      if (input.node == null) {
+        throw httpError(400, 'Input submit must have node');
+      }
+      break;
+
+    default:
+      throw httpError(400, `Unknown input type: ${input.type}`);
+  }
+}
+
+async function replayInput({ page, interceptor }, input) {
+  // replay the user input captured by the shim (see util/page-rewriter.js)
+  // in the page, and if it's to be rendered, wait for the navigation in
+  // case the input has caused one
+  checkInput(input);
+  let handle = null;
+  let element = null;
+  if (input.node != null) {
+    handle = await page.evaluateHandle((node) => {
+      const ref = window.__proxyNodes && window.__proxyNodes[node];
+      return ref && ref.deref() || null;
+    }, input.node);
+    element = handle.asElement();
+    if (!element) {
+      await handle.dispose();
+      throw httpError(409, 'Element is not in the page anymore.');
+    }
+  }
+
+  const navigationStarted = page.waitForRequest((request) => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      interceptor.clear();
+      return true;
+    }
+    return false;
+  }, { timeout: config.input.settleTimeout }).then(() => true, () => false);
+  const navigation = page.waitForNavigation({ timeout: config.input.navigationTimeout })
+      .catch(() => null);
+
+  try {
+    switch (input.type) {
+      case 'click': {
+        const options = { button: input.button, count: input.clickCount };
+        if (element) {
+          await element.click({ ...options, offset: { x: input.x, y: input.y } });
+        } else {
+          await page.mouse.click(input.x, input.y, options);
+        }
+        break;
+      }
+
+      case 'key': {
+        if (element) {
+          await element.focus();
+        }
+        const modifiers = input.modifiers || [];
+        for (const modifier of modifiers) {
+          await page.keyboard.down(modifier);
+        }
+        try {
+          await page.keyboard.press(input.key);
+        } catch (e) {
+          // key is not in puppeteer's layout, but still can be typed
+          if (input.key.length !== 1) {
+            throw e;
+          }
+          await page.keyboard.sendCharacter(input.key);
+        } finally {
+          for (const modifier of modifiers) {
+            await page.keyboard.up(modifier);
+          }
+        }
+        break;
+      }
+
+      case 'select':
+        await element.select(...input.value);
+        break;
+
+      case 'scroll':
+        await page.evaluate((x, y) => window.scrollTo(x, y), input.x, input.y);
+        break;
+
+      case 'submit':
+        await element.evaluate((form) => form.requestSubmit());
+        break;
+
+      default:
+        throw httpError(400, `Unknown input type: ${input.type}`);
+    }
+  } finally {
+    if (handle) {
+      await handle.dispose();
+    }
+  }
+
+  if (input.render && await navigationStarted) {
+    return await navigation;
+  }
+  return null;
+}
+
+// clean up old sessions, and persist the rest
 setInterval(() => {
   pool.forEach((obj, i) => {
     if (obj && (
@@ -77,43 +1344,150 @@ setInterval(() => {
         || (obj.createdAt && Date.now() - obj.createdAt > config.browserPool.liveTimeout)
     )) {
       deleteSession(obj.session);
+    } else if (obj && obj.session) {
+      saveSession(obj.session).catch((e) => logger.warn(e));
+    }
+  });
+  jobs.forEach(({ record }) => {
+    if (record.finishedAt && Date.now() - record.finishedAt > config.jobs.ttl) {
+      removeJob(record.job).catch((e) => logger.warn(e));
     }
   });
+  runSchedules();
 }, 20000);
 
+browsers.start();
+restoreSessions().catch((e) => logger.warn(e));
+restoreJobs().catch((e) => logger.warn(e));
+restoreSchedules().catch((e) => logger.warn(e));
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
+
+function resolveRedirect(response) {
+  // request the browser made following the redirect response, as of
+  // the fetch standard: 303 turns any method but HEAD into GET, so do 301
+  // and 302 with POST, 307 and 308 keep the method and the body
+  if (!REDIRECT_STATUSES.includes(response.status())) {
+    return null;
+  }
+  const { location } = response.headers();
+  if (!location) {
+    throw new Error(`Redirect but location is not set`);
+  }
+  const request = response.request();
+  let method = request.method();
+  let body = request.postData();
+  if ((response.status() === 303 && method !== 'HEAD') ||
+      ([301, 302].includes(response.status()) && method === 'POST')) {
+    method = 'GET';
+    body = undefined;
+  }
+  // location may be relative to the URL which redirects, and its fragment
+  // isn't sent, so the request the interceptor sees has none
+  const url = new URL(location, response.url());
+  url.hash = '';
+  return { url: url.href, method, body };
+}
+
+function resourceKey(method, url, body) {
+  // key of the intercepted response in the interceptor's storage,
+  // method is "*" for those waiting for any request of the URL
+  const hash = body ? crypto.createHash('sha1').update(body).digest('hex') : '';
+  return `${method} ${url} ${hash}`;
+}
+
 function startIntercept(session, page) {
   const interceptor = {
-    storage: {},
-
-    getResponse: async function (url) {
-      if (!(url in this.storage)) {
-        this.storage[url] = {};
-        const promise = new Promise((resolve, reject) => {
-          this.storage[url].resolve = resolve;
-          this.storage[url].reject = reject;
+    // intercepted responses, and those being waited for, by resourceKey(),
+    // in order of use, so that the least recently used ones are dropped first
+    storage: new Map(),
+
+    /**
+     * Get the response received by the page
+     * @param url {string}
+     * @param options {{method: string, body: string, signal: AbortSignal}}
+     * request method and body to match, any request matches if method is omitted;
+     * the wait is cancelled by the signal, e.g. when the client has gone
+     * @return {Promise<HTTPResponse>} rejected with 504 after config.interceptor.timeout
+     */
+    getResponse: async function (url, { method, body, signal } = {}) {
+      let key = method ? resourceKey(method, url, body) : resourceKey('*', url);
+      if (!method) {
+        // the most recent response of any method
+        const found = [...this.storage.entries()].reverse()
+            .find(([, entry]) => entry.url === url && entry.response);
+        if (found) {
+          key = found[0];
+        }
+      }
+      let entry = this.storage.get(key);
+      if (entry) {
+        this.storage.delete(key);
+        this.storage.set(key, entry);
+        if (entry.response) {
+          return entry.response;
+        }
+      } else {
+        entry = { url, method: method || '*', response: null, waiters: 0 };
+        entry.promise = new Promise((resolve, reject) => {
+          entry.resolve = resolve;
+          entry.reject = reject;
         });
-        this.storage[url].promise = promise;
-        this.storage[url].response = null;
+        // waiters handle the rejection themselves
+        entry.promise.catch(() => {});
+        this.storage.set(key, entry);
       }
 
-      if (this.storage[url].response) {
-        return this.storage[url].response;
+      entry.waiters++;
+      let timer, onAbort;
+      try {
+        return await Promise.race([
+          entry.promise,
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              reject(httpError(504, `Resource is not loaded in ${config.interceptor.timeout} ms: ${url}`));
+            }, config.interceptor.timeout);
+            onAbort = () => reject(new Error(`Waiting for resource cancelled: ${url}`));
+            if (signal) {
+              signal.aborted ? onAbort() : signal.addEventListener('abort', onAbort);
+            }
+          }),
+        ]);
+      } finally {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        // forget the resource if nobody waits for it anymore
+        if (--entry.waiters === 0 && !entry.response && this.storage.get(key) === entry) {
+          this.storage.delete(key);
+        }
       }
+    },
 
-      // todo implement timeout
-      this.storage[url].response = await this.storage[url].promise;
-      return this.storage[url].response;
+    store: function (key, entry) {
+      this.storage.delete(key);
+      this.storage.set(key, entry);
+      // drop the least recently used responses, but not awaited ones
+      for (const [oldKey, oldEntry] of this.storage) {
+        if (this.storage.size <= config.interceptor.maxEntries) {
+          break;
+        }
+        if (oldEntry.response) {
+          this.storage.delete(oldKey);
+        }
+      }
     },
 
     onRequest: function (request) {
-      // send message to the websocket
-      const obj = sessionObj(session);
-      if ('ws' in obj) {
-        obj.ws.send(JSON.stringify({
+      // send message to the subscribers
+      const obj = pool[sessionToPoolNumber[session]];
+      if (obj) {
+        publish(obj, 'request', {
           type: "request",
-          request: { url: request.url(), headers: request.headers() },
-          session
-        }));
+          request: { url: request.url(), method: request.method(), resourceType: request.resourceType(), headers: request.headers() },
+        }, request.resourceType());
       }
     },
 
@@ -126,25 +1500,32 @@ function startIntercept(session, page) {
           break;
       }
 
-      // save response to handle /ref
+      // save response to handle /ref, and pass it to those waiting for it
       const url = response.url();
-      (this.storage[url] ||= {}).response = response;
-      if (this.storage[url].resolve) {
-        this.storage[url].resolve(response);
+      const method = response.request().method();
+      const key = resourceKey(method, url, response.request().postData());
+      for (const waitingKey of [key, resourceKey('*', url)]) {
+        const waiting = this.storage.get(waitingKey);
+        if (waiting && !waiting.response) {
+          waiting.resolve(response);
+          this.storage.delete(waitingKey);
+        }
       }
+      this.store(key, { url, method, response, waiters: 0 });
 
-      // send message to the websocket
-      const obj = sessionObj(session);
-      if ('ws' in obj) {
-        obj.ws.send(JSON.stringify({
+      // send message to the subscribers
+      const obj = pool[sessionToPoolNumber[session]];
+      if (obj) {
+        const resourceType = response.request().resourceType();
+        publish(obj, 'response', {
           type: "response",
           response: {
             url,
             status: response.status(),
+            resourceType,
             headers: response.headers()
           },
-          session
-        }));
+        }, resourceType);
       }
     },
 
@@ -160,183 +1541,443 @@ function startIntercept(session, page) {
       page.off('response', this.responseHandler);
     },
 
-    clear: function () {
-      Object.entries(this.storage).forEach(([url, value]) => {
-        if (value.reject) {
-          value.reject(`Request interrupted`);
-        }
-      });
-      this.storage = {};
-    }
-  };
+    clear: function () {
+      this.storage.forEach((entry) => {
+        if (!entry.response) {
+          entry.reject(new Error('Request interrupted'));
+        }
+      });
+      this.storage = new Map();
+    }
+  };
+
+  interceptor.start();
+  return interceptor;
+}
+
+// server will serve session requests and handle references.
+// GET /session  -- create a session, if all browsers are busy then wait
+// for a free one, or respond with 503 immediately if `wait=false`; every
+// session has browser context of its own, starting with cookies and storage
+// of the saved `profile` if it's set, and empty otherwise; `emulation` is
+// JSON of the device, locale etc. to emulate, see util/emulation.js;
+// `proxy` is URL of the upstream proxy to go through, by default one of
+// config.upstreamProxies is picked, sticky ones by `domain` to visit
+// GET|PUT /<session-id>/emulation  -- get or replace the emulation profile
+// GET /<session-id>/visit/<URL>  -- open a page in this session
+// (the page routes respond with X-Final-Url header, URL of the page after redirects)
+// headers of the target's responses are passed by config.headers policy,
+// see util/header-policy.js
+// GET /<session-id>/ref/<URL>  -- get a resource referenced by the page
+// (responds with 504 if the page doesn't load it in config.interceptor.timeout)
+// *** /<session-id>/fetch/<URL>  -- fetch a resource on behalf of the page
+// GET /<session-id>/page  -- get current opened page
+// GET /<session-id>/mirror  -- get a page which live mirrors DOM of the current
+// opened page via websocket at /<session-id>/ws
+// GET /<session-id>/screenshot  -- get screenshot of the page, or of the element
+// if `selector` is set, `options` are puppeteer's ScreenshotOptions
+// GET /<session-id>/pdf  -- get the page as PDF, `options` are puppeteer's PDFOptions
+// GET /<session-id>/har  -- get the network log of the session as HAR 1.2,
+// its size and whether response bodies are included are set by config.har
+// GET|PUT /<session-id>/storage  -- get the cookies and storage of the session,
+// or add some: {"cookies": [...], "origins": [{"origin": ..., "localStorage": {...},
+// "sessionStorage": {...}}]}, storage is of the origins of the current page and
+// its frames; storage of other origins is added when the page first gets there
+// GET /profiles  -- list saved profiles
+// GET|PUT|DELETE /profiles/<name>  -- get, save or delete the profile, i.e.
+// cookies and storage, in the format of /<session-id>/storage, or {"session": ...}
+// to save the current state of the session
+// GET|PUT|DELETE /<session-id>/rules  -- get, set or drop the request rules
+// of the session, see {"rules": ...} websocket message
+// POST /<session-id>/input  -- replay user input captured in the patched page,
+// and if it's to be rendered respond with the updated page
+// GET /<session-id>/reload  -- reload current opened page
+// GET /<session-id>/go-back  -- go back to the previous page
+// GET /<session-id>/go-forward  -- go forward to the next page
+// DELETE /<session-id>  -- terminate session
+// WS /<session-id>/socket/<URL>  -- websocket opened by the page, relayed to URL
+// (ws: and wss: URLs of public hosts only)
+// if auth is enabled, client routes require API key in "X-Api-Key" header,
+// or token signed with the key (see util/client-auth.js) in
+// "Authorization: Bearer ..." header, `token` query arg or cookie set by /session.
+// admin routes, require admin token in "Authorization: Bearer ..." header:
+// GET /admin/sessions  -- list sessions, browsers and upstream proxies
+// GET /admin/sessions/<session-id>  -- inspect session's intercepted resources
+// DELETE /admin/sessions/<session-id>  -- force-expire session
+// POST /admin/drain  -- stop accepting new sessions
+// DELETE /admin/drain  -- accept new sessions again
+const server = http.createServer();
+
+server.on('request', (request, response) => {
+  // let implement some helpers
+  function getProxyHeaders(headers, { session, url, route = 'visit', status }) {
+    // filter and rewrite headers of the target's response `url`; `status`
+    // is given if the body is passed as is, so a partial one keeps its range,
+    // see util/header-policy.js
+    const options = getRewriterOptions(session, request.headers.host);
+    return proxyHeaderPolicy.apply(headers, {
+      rewriter: pageRewriter({ ...options, baseUrl: url }),
+      route,
+      url,
+      cookiePath: options.proxyroot,
+      status,
+    });
+  }
+
+  async function getPatchedPageContent(obj) {
+    // clone document, and do some manipulations with it,
+    // to be able to show it in iframe with correct (i.e. proxy) refs.
+    // the rewriter is executed in the page, see util/page-rewriter.js
+    const source = pageRewriter.toString();
+    const options = getRewriterOptions(obj.session, request.headers.host);
+    return await obj.page.evaluate(
+        `(${source})(${JSON.stringify(options)}).patchDocument(${JSON.stringify(source)})`);
+  }
+
+  async function getPatchedPageResponse(response, {
+    session,
+    page,
+    interceptor
+  }, redirectStack = []) {
+    const status = response.status();
+    const headers = response.headers();
+    const redirect = resolveRedirect(response);
+    if (redirect) {
+      // the browser followed the redirect, check redirect conditions
+      //   and return response catched by the interceptor
+      redirectStack.push(response.url());
+      if (redirectStack.includes(redirect.url)) {
+        throw new Error(`Cyclic redirect to the location already seen`);
+      }
+      if (redirectStack.length > config.browserPool.maxRedirectCount) {
+        throw new Error(`Exceeded redirect count ${config.browserPool.maxRedirectCount}`);
+      }
+      return await getPatchedPageResponse(
+          await interceptor.getResponse(redirect.url, { ...redirect, signal: clientGone.signal }),
+          { session, page, interceptor }, redirectStack);
+    }
+    if (status === 304) {
+      // response not modified, get from the interceptor by the current url
+      return await getPatchedPageResponse(
+          await interceptor.getResponse(response.url(), { signal: clientGone.signal }),
+          { session, page, interceptor });
+    }
+
+    return {
+      status: function () {
+        return response.status();
+      },
+      headers: function () {
+        // URL after redirects, the client shows it, and resolves relative
+        // references against it
+        return { ...getProxyHeaders(headers, { session, url: response.url() }), [FINAL_URL_HEADER]: response.url() };
+      },
+      text: function () {
+        return getPatchedPageContent({ session, page });
+      },
+    };
+  }
+
+  async function loadResource({ cdp }, url) {
+    // load the resource once more in context of the page, i.e. with its
+    // cookies and from the browser cache if it's there, to read it by chunks;
+    // the body may differ from the one the page got, so status and headers
+    // are those of this load too
+    const { frameTree } = await cdp.send('Page.getFrameTree');
+    const { resource } = await cdp.send('Network.loadNetworkResource', {
+      frameId: frameTree.frame.id,
+      url,
+      options: { disableCache: false, includeCredentials: true },
+    });
+    if (!resource.success) {
+      throw httpError(502, `Failed to load resource: ${resource.netErrorName}`);
+    }
+    return {
+      status: resource.httpStatusCode,
+      headers: Object.fromEntries(Object.entries(resource.headers || {})
+          .map(([name, value]) => [name.toLowerCase(), value])),
+      stream: resource.stream,
+    };
+  }
+
+  function getContentLength(headers) {
+    // length of the body as we get it from the browser, i.e. decoded
+    const length = parseInt(headers['content-length']);
+    return isNaN(length) || headers['content-encoding'] ? undefined : length;
+  }
+
+  function getPublicEndpoint() {
+    // endpoint of our websocket server to the outside world
+    return config.endpoint;
+  }
+
+  function checkAdmin() {
+    // compare admin token in constant time, admin routes are disabled
+    // at all if there is no token configured (or set in ADMIN_TOKEN env)
+    const token = process.env.ADMIN_TOKEN || config.admin.token;
+    const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    if (!token) {
+      throw httpError(403, 'Admin API is disabled.');
+    }
+    // digests are of the same length whatever the tokens are, e.g. non-ASCII
+    const digest = (text) => crypto.createHash('sha256').update(text).digest();
+    if (!match || !crypto.timingSafeEqual(digest(match[1]), digest(token))) {
+      throw httpError(401, 'Invalid admin token.');
+    }
+  }
+
+  function authenticate() {
+    const client = auth.authenticate(request);
+    auth.throttle(client);
+    return client;
+  }
+
+  function authorizedSessionObj(session) {
+    return ownedSessionObj(session, authenticate());
+  }
+
+  function getSessionInfo({ session, endpoint, page, subscribers, emulation, proxy, proxyError, createdAt, accessedAt }) {
+    return {
+      session,
+      browserURL: endpoint.browserURL,
+      url: page.url(),
+      subscribers: subscribers.size,
+      emulation,
+      // credentials of the proxy aren't shown
+      proxy: proxy && { server: proxy.server, error: proxyError },
+      createdAt,
+      accessedAt,
+    };
+  }
+
+  // transform request to match relatively to server location
+  if (config.server.location && request.url.startsWith(config.server.location)) {
+    request.url = request.url.substring(config.server.location.length);
+  }
+
+  const handler = requestHandler(request, response);
+
+  // aborted when the client has gone, to stop waiting for the page's resources
+  const clientGone = new AbortController();
+  response.on('close', () => clientGone.abort());
+
+  handler.on(/^\/admin\/sessions$/, 'GET', async () => {
+    checkAdmin();
+    return {
+      draining,
+      browsers: browsers.endpoints.map(({ browserURL, capacity, healthy, sessions }) => ({
+        browserURL,
+        capacity,
+        healthy,
+        sessions,
+      })),
+      upstreamProxies: upstreamProxies.status(),
+      sessions: pool.filter((obj) => obj && obj.session).map(getSessionInfo),
+    };
+  });
+
+  handler.on(/^\/admin\/sessions\/(\d+)$/, 'GET', async (session) => {
+    checkAdmin();
+    const obj = sessionObj(session);
+    return {
+      ...getSessionInfo(obj),
+      resources: [...obj.interceptor.storage.values()].map(({ url, method, response }) => ({
+        url,
+        method,
+        pending: !response,
+        status: response ? response.status() : null,
+        headers: response ? response.headers() : null,
+      })),
+    };
+  });
+
+  handler.on(/^\/admin\/sessions\/(\d+)$/, 'DELETE', async (session) => {
+    checkAdmin();
+    sessionObj(session);
+    await deleteSession(session);
+    return { success: true };
+  });
+
+  handler.on(/^\/admin\/drain$/, 'POST', async () => {
+    checkAdmin();
+    draining = true;
+    return { draining, success: true };
+  });
+
+  handler.on(/^\/admin\/drain$/, 'DELETE', async () => {
+    checkAdmin();
+    draining = false;
+    return { draining, success: true };
+  });
+
+  handler.on(/^\/session$/, 'GET', async () => {
+    const client = authenticate();
+    // stop waiting if the client has gone
+    const controller = new AbortController();
+    response.on('close', () => controller.abort());
+    // the session may start with cookies and storage of the saved profile
+    const profile = handler.requestArgs.get('profile');
+    const state = profile ? (await ownedProfile(profile, client)).state : null;
+    let emulation;
+    try {
+      emulation = handler.requestArgs.getJson('emulation');
+    } catch (e) {
+      throw httpError(400, `Malformed emulation: ${e.message}`);
+    }
+    const session = await acquireSession({
+      client,
+      state,
+      emulation,
+      proxy: handler.requestArgs.get('proxy'),
+      domain: handler.requestArgs.get('domain'),
+    }, {
+      wait: handler.requestArgs.getBoolean('wait') !== false,
+      signal: controller.signal,
+    });
+    if (client) {
+      // let the proxied page's requests, which can't have credentials
+      // in the headers, be authenticated by the cookie
+      response.setHeader('set-cookie', auth.tokenCookie(client,
+          `${config.server.location || ''}/${session}`, config.browserPool.liveTimeout));
+    }
+
+    return { session, endpoint: getPublicEndpoint(), success: true };
+  });
+
+  handler.on(/^\/profiles$/, 'GET', async () => {
+    const client = authenticate();
+    const records = await profileStorage.load();
+    return {
+      profiles: records
+          .filter((record) => !client || record.client === client.id)
+          .map(({ profile, createdAt, updatedAt }) => ({ profile, createdAt, updatedAt })),
+    };
+  });
+
+  handler.on(/^\/profiles\/([\w-]+)$/, 'GET', async (profile) => {
+    return ownedProfile(profile, authenticate());
+  });
 
-  interceptor.start();
-  return interceptor;
-}
+  handler.on(/^\/profiles\/([\w-]+)$/, 'PUT', async (profile) => {
+    const client = authenticate();
+    let body;
+    try {
+      body = JSON.parse(await handler.getData());
+    } catch (e) {
+      throw httpError(400, `Malformed profile: ${e.message}`);
+    }
+    if (!body || typeof body != 'object' || Array.isArray(body)) {
+      throw httpError(400, 'Profile must be a JSON object');
+    }
+    // take the state of the session, or the given one
+    const state = body.session ? await exportState(ownedSessionObj(String(body.session), client)) : body;
+    const { createdAt, updatedAt } = await saveProfile({ client, profile, state });
+    return { profile, createdAt, updatedAt, success: true };
+  });
 
-// server will serve session requests and handle references.
-// GET /session  -- create a session
-// GET /<session-id>/visit/<URL>  -- open a page in this session
-// GET /<session-id>/ref/<URL>  -- get a resource referenced by the page
-// *** /<session-id>/fetch/<URL>  -- fetch a resource on behalf of the page
-// GET /<session-id>/page  -- get current opened page
-// GET /<session-id>/reload  -- reload current opened page
-// GET /<session-id>/go-back  -- go back to the previous page
-// GET /<session-id>/go-forward  -- go forward to the next page
-// DELETE /<session-id>  -- terminate session
-const server = http.createServer();
+  handler.on(/^\/profiles\/([\w-]+)$/, 'DELETE', async (profile) => {
+    await ownedProfile(profile, authenticate());
+    await profileStorage.remove(profile);
+    return { success: true };
+  });
 
-server.on('request', (request, response) => {
-  // let implement some helpers
-  function getProxyHeaders(headers) {
-    let proxyHeaders = {};
-    for (let name of proxyHeaderNames) {
-      if (name in headers) {
-        proxyHeaders[name] = headers[name];
-      }
+  handler.on(/^\/jobs$/, 'POST', async () => {
+    const client = authenticate();
+    let body;
+    try {
+      body = JSON.parse(await handler.getData());
+    } catch (e) {
+      throw httpError(400, `Malformed job: ${e.message}`);
     }
-    return proxyHeaders;
-  }
+    if (!body || typeof body != 'object' || Array.isArray(body)) {
+      throw httpError(400, 'Job must be a JSON object');
+    }
+    const { record } = await submitJob({ client, script: body.script, crawl: body.crawl, session: body.session });
+    return jobInfo(record);
+  });
 
-  async function getPatchedPageContent({ session, page }) {
-    // clone document, and do some manipulations with it,
-    // to be able to show it in iframe with correct (i.e. proxy) refs.
-    // "/proxy/" is a public path of our web server
-    const proxyroot = '/proxy/' + session;
-    const proxyhost = request.headers.host;
-    const targethost = new URL(page.url()).hostname;
-    const patchedDoc = await page.evaluate((proxyroot, proxyhost, targethost) => {
-      const doc = window.document.cloneNode(true);
-      let nodeList;
-      nodeList = doc.querySelectorAll(':not(a)[href]');
-      for (let i = 0; i < nodeList.length; i++) {
-        let element = nodeList.item(i);
-        const ref = element.href;
-        element.href = proxyroot + '/ref/' + encodeURIComponent(ref);
-      }
-      nodeList = doc.querySelectorAll('a[href]');
-      for (let i = 0; i < nodeList.length; i++) {
-        let element = nodeList.item(i);
-        const ref = element.href;
-        const refUrl = new URL(ref);
-        if (refUrl.protocol.match(/http[s]?/)) {
-          element.href = proxyroot + '/visit/' + encodeURIComponent(ref);
-        }
-      }
-      nodeList = doc.querySelectorAll('*[src]');
-      for (let i = 0; i < nodeList.length; i++) {
-        let element = nodeList.item(i);
-        const src = element.src;
-        element.src = proxyroot + '/ref/' + encodeURIComponent(src);
-      }
-      // monkey-patch `fetch`
-      const script = doc.createElement('script');
-      const scriptContent = doc.createTextNode(`const stashFetch = window.fetch;
-window.fetch = function () {
-  let url = arguments[0];
-  if (typeof url == "string") {
-    url = new URL(new Request(url).url);
-  } else if (url instanceof Request) {
-    url = new URL(url.url);
-  }
-  let newUrl;
-  if (url && url.hostname === "${proxyhost}") {
-    // request is made to our proxy host;
-    // that can happen if relative location
-    url.hostname = "${targethost}";
-  }
-  if (url && url.hostname === "${targethost}") {
-    // request is made to the target, and
-    // should be redirected to proxy...
-    let newUrl = "${proxyroot}" + "/fetch/" + encodeURIComponent(url.pathname);
-    if (typeof arguments[0] == "string") {
-      arguments[0] = newUrl;
-    } else if (arguments[0] instanceof Request) {
-      arguments[0] = new Request(newUrl, ...arguments[0]);
-    }
-  }
-  return stashFetch(...arguments);
-}`);
-      script.appendChild(scriptContent);
-      doc.head.appendChild(script);
-      // return modified document as a string
-      const serializer = new XMLSerializer();
-      return serializer.serializeToString(doc);
-    }, proxyroot, proxyhost, targethost);
-
-    return patchedDoc;
-  }
+  handler.on(/^\/jobs$/, 'GET', async () => {
+    const client = authenticate();
+    return {
+      jobs: [...jobs.values()]
+          .filter(({ record }) => !client || record.client === client.id)
+          .map(({ record }) => jobInfo(record)),
+    };
+  });
 
-  async function getPatchedPageResponse(response, {
-    session,
-    page,
-    interceptor
-  }, redirectStack = []) {
-    const status = response.status();
-    const headers = response.headers();
-    switch (status) {
-      case 301:
-      case 302:
-      case 308:
-        // redirect to the new location, check redirect conditions
-        //   and return response catched by the interceptor
-        redirectStack.push(response.url());
-        if (!headers.location) {
-          throw new Error(`Redirect but location is not set`);
-        }
-        if (redirectStack.indexOf(headers.location) !== -1) {
-          throw new Error(`Cyclic redirect to the location already seen`);
-        }
-        if (redirectStack.length > config.browserPool.maxRedirectCount) {
-          throw new Error(`Exceeded redirect count ${config.browserPool.maxRedirectCount}`);
-        }
-        return await getPatchedPageResponse(
-            await interceptor.getResponse(headers.location),
-            { session, page, interceptor }, redirectStack);
-
-      case 304:
-        // response not modified, get from the interceptor by the current url
-        return await getPatchedPageResponse(
-            await interceptor.getResponse(response.url()),
-            { session, page, interceptor });
+  handler.on(/^\/jobs\/([\w-]+)$/, 'GET', async (job) => {
+    return jobInfo(ownedJob(job, authenticate()).record);
+  });
 
-      default:
-        break;
+  handler.on(/^\/jobs\/([\w-]+)\/result$/, 'GET', async (job) => {
+    const { record } = ownedJob(job, authenticate());
+    const format = handler.requestArgs.get('format') || 'json';
+    if (!Object.hasOwn(FORMATS, format)) {
+      throw httpError(400, `Unknown format: ${format}, supported are ${Object.keys(FORMATS).join(', ')}`);
     }
-
+    if (record.status !== 'done') {
+      throw httpError(409, `Job is ${record.status}`);
+    }
+    const stored = await jobStorage.get(job);
+    if (!stored) {
+      throw httpError(404, 'Job result non-existent.');
+    }
+    const { contentType, stream } = exportTable(stored.result, format);
     return {
       status: function () {
-        return response.status();
+        return 200;
       },
       headers: function () {
-        return getProxyHeaders(headers);
-      },
-      text: function () {
-        return getPatchedPageContent({ session, page });
+        return {
+          'content-type': contentType,
+          'content-disposition': `attachment; filename="${job}.${format}"`,
+        };
       },
+      stream: async function () {
+        return stream;
+      }
     };
-  }
+  });
 
-  function getPublicEndpoint() {
-    // endpoint of our websocket server to the outside world
-    return config.endpoint;
-  }
+  handler.on(/^\/jobs\/([\w-]+)$/, 'DELETE', async (job) => {
+    ownedJob(job, authenticate());
+    await removeJob(job);
+    return { success: true };
+  });
 
-  // transform request to match relatively to server location
-  if (config.server.location && request.url.startsWith(config.server.location)) {
-    request.url = request.url.substring(config.server.location.length);
-  }
+  handler.on(/^\/schedules$/, 'POST', async () => {
+    const client = authenticate();
+    let body;
+    try {
+      body = JSON.parse(await handler.getData());
+    } catch (e) {
+      throw httpError(400, `Malformed schedule: ${e.message}`);
+    }
+    if (!body || typeof body != 'object' || Array.isArray(body)) {
+      throw httpError(400, 'Schedule must be a JSON object');
+    }
+    return addSchedule({ client, cron: body.cron, crawl: body.crawl });
+  });
 
-  const handler = requestHandler(request, response);
+  handler.on(/^\/schedules$/, 'GET', async () => {
+    const client = authenticate();
+    return {
+      schedules: [...schedules.values()].filter((record) => !client || record.client === client.id),
+    };
+  });
 
-  handler.on(/^\/session$/, 'GET', async () => {
-    const session = await createSession();
+  handler.on(/^\/schedules\/([\w-]+)$/, 'GET', async (schedule) => {
+    return ownedSchedule(schedule, authenticate());
+  });
 
-    return { session, endpoint: getPublicEndpoint(), success: true };
+  handler.on(/^\/schedules\/([\w-]+)$/, 'DELETE', async (schedule) => {
+    ownedSchedule(schedule, authenticate());
+    await removeSchedule(schedule);
+    return { success: true };
   });
 
   handler.on(/^\/(\d+)\/visit\/(.*)/, 'GET', async (session, url) => {
-    const obj = sessionObj(session);
+    const obj = authorizedSessionObj(session);
     obj.accessedAt = Date.now();
     const { page, interceptor } = obj;
     url = decodeURIComponent(url);
@@ -346,7 +1987,7 @@ window.fetch = function () {
   });
 
   handler.on(/^\/(\d+)\/ref\/(.*)/, 'GET', async (session, url) => {
-    const obj = sessionObj(session);
+    const obj = authorizedSessionObj(session);
     const { page, interceptor } = obj;
     url = decodeURIComponent(url);
     // check relative url and make it absolute according to currently opened
@@ -354,13 +1995,53 @@ window.fetch = function () {
     if (!/^[a-z+]+:\/\//.test(url)) {
       url = new URL(url, page.url()).toString();
     }
-    const response = await interceptor.getResponse(url);
+    // resources are loaded by the page with GET, requests with other methods
+    // are made by the page's scripts, and are not referenced
+    const response = await interceptor.getResponse(url, { method: 'GET', signal: clientGone.signal });
+    const headers = response.headers();
+    const size = getContentLength(headers);
+    if (/^text\/css\b/.test(headers['content-type'] || '')) {
+      // URLs in the stylesheet are relative to it, not to the page
+      return {
+        status: function () {
+          return response.status();
+        },
+        headers: function () {
+          return getProxyHeaders(headers, { session, url, route: 'ref' });
+        },
+        text: async function () {
+          const options = getRewriterOptions(session, request.headers.host);
+          return pageRewriter({ ...options, baseUrl: url }).css(await response.text());
+        }
+      };
+    }
+    if (response.status() === 200 && /^https?:/.test(url) &&
+        !(size <= config.streaming.bufferLimit)) {
+      // large resource, or of unknown size, is streamed so as not
+      // to hold it in memory as a whole; if its length isn't known
+      // before it's read, it's sent chunked, without Range support
+      const resource = await loadResource(obj, url);
+      return {
+        status: function () {
+          return resource.status;
+        },
+        headers: function () {
+          return getProxyHeaders(resource.headers, { session, url, route: 'ref', status: resource.status });
+        },
+        size: function () {
+          return getContentLength(resource.headers);
+        },
+        stream: async function () {
+          return cdpStreamReadable(obj.cdp, resource.stream, config.streaming.chunkSize);
+        }
+      };
+    }
     return {
       status: function () {
         return response.status()
       },
       headers: function () {
-        return getProxyHeaders(response.headers())
+        return getProxyHeaders(headers, { session, url, route: 'ref', status: response.status() })
       },
       buffer: function () {
         return response.buffer()
@@ -369,54 +2050,282 @@ window.fetch = function () {
   });
 
   handler.on(/^\/(\d+)\/fetch\/(.*)/, '*', async (session, url) => {
-    const obj = sessionObj(session);
+    const obj = authorizedSessionObj(session);
     obj.accessedAt = Date.now();
     const { page } = obj;
     url = decodeURIComponent(url);
     const method = request.method;
-    const headers = request.headers;
+    const headers = Object.fromEntries(Object.entries(request.headers)
+        .filter(([name]) => !FETCH_DROPPED_HEADERS.includes(name)));
     const body = /* base64-encoded body to pass to the browser */
-        bufferToBase64(await handler.getData());
-    const result = await page.evaluate(async (url, method, headers, body) => {
-      const init = { method, headers };
-      if (body && body.length) {
-        init.body = Uint8Array.from(atob(body), (c) => c.codePointAt(0)).buffer;
-      }
-      const response = await fetch(url, init);
-      const responseArrayBuffer = await response.arrayBuffer();
-      const responseBody = btoa(String.fromCodePoint.apply(null, new Uint8Array(responseArrayBuffer)));
-      const responseHeaders = {};
-      for (const [key, value] of response.headers.entries()) {
-        responseHeaders[key] = value;
+        (await handler.getData()).toString('base64');
+    // fetch doesn't expose Set-Cookie to the page, take it from the browser's
+    // response then
+    const fetchResponses = [];
+    const onResponse = (response) => {
+      if (response.request().resourceType() === 'fetch') {
+        fetchResponses.push(response);
+      }
+    };
+    page.on('response', onResponse);
+    // keep the response in the page, and then read its body by chunks
+    let responseHandle, result;
+    try {
+      responseHandle = await page.evaluateHandle((url, method, headers, body) => {
+        const init = { method, headers };
+        if (body && body.length) {
+          init.body = Uint8Array.from(atob(body), (c) => c.codePointAt(0)).buffer;
+        }
+        return fetch(url, init);
+      }, url, method, headers, body);
+      result = await responseHandle.evaluate((response) => {
+        const responseHeaders = {};
+        for (const [key, value] of response.headers.entries()) {
+          responseHeaders[key] = value;
+        }
+        return {
+          url: response.url,
+          status: response.status,
+          headers: responseHeaders,
+          hasBody: !!response.body
+        };
+      });
+    } finally {
+      page.off('response', onResponse);
+    }
+    const fetched = fetchResponses.reverse()
+        .find((response) => response.url() === result.url && response.request().method() === method);
+    if (fetched && fetched.headers()['set-cookie']) {
+      result.headers['set-cookie'] = fetched.headers()['set-cookie'];
+    }
+    const readerHandle = result.hasBody &&
+        await responseHandle.evaluateHandle((response) => response.body.getReader());
+    await responseHandle.dispose();
+
+    return {
+      status: function () {
+        return result.status;
+      },
+      headers: function () {
+        return getProxyHeaders(result.headers, { session, url: result.url || url, route: 'fetch', status: result.status });
+      },
+      size: function () {
+        return result.hasBody ? getContentLength(result.headers) : 0;
+      },
+      stream: async function () {
+        return readerHandle ? jsReaderReadable(readerHandle) : Readable.from([]);
+      }
+    };
+  });
+
+  handler.on(/^\/(\d+)\/mirror$/, 'GET', async (session) => {
+    authorizedSessionObj(session);
+    const { proxyroot } = getRewriterOptions(session, request.headers.host);
+    return {
+      status: function () {
+        return 200;
+      },
+      headers: function () {
+        return { 'content-type': 'text/html' };
+      },
+      text: async function () {
+        return mirrorDocument({ session, path: proxyroot + '/ws' });
+      }
+    };
+  });
+
+  handler.on(/^\/(\d+)\/screenshot$/, 'GET', async (session) => {
+    const obj = authorizedSessionObj(session);
+    obj.accessedAt = Date.now();
+    const { page } = obj;
+    let args;
+    try {
+      args = handler.requestArgs.getJson('options') || {};
+    } catch (e) {
+      throw httpError(400, `Malformed options: ${e.message}`);
+    }
+    // only options affecting the image, e.g. not `path`
+    const { type = 'png', quality, fullPage, clip, omitBackground, captureBeyondViewport } = args;
+    const options = { type, quality, fullPage, clip, omitBackground, captureBeyondViewport };
+    const selector = handler.requestArgs.get('selector');
+    let target = page;
+    if (selector) {
+      target = await page.$(selector);
+      if (!target) {
+        throw httpError(404, `Element not found: ${selector}`);
       }
+    }
+    try {
+      const image = await target.screenshot(options);
       return {
-        status: response.status,
-        headers: responseHeaders,
-        body: responseBody
+        status: function () {
+          return 200;
+        },
+        headers: function () {
+          return { 'content-type': `image/${type}` };
+        },
+        buffer: async function () {
+          return image;
+        }
       };
-    }, url, method, headers, body);
+    } finally {
+      if (target !== page) {
+        await target.dispose();
+      }
+    }
+  });
 
+  handler.on(/^\/(\d+)\/pdf$/, 'GET', async (session) => {
+    const obj = authorizedSessionObj(session);
+    obj.accessedAt = Date.now();
+    const { page } = obj;
+    let args;
+    try {
+      args = handler.requestArgs.getJson('options') || {};
+    } catch (e) {
+      throw httpError(400, `Malformed options: ${e.message}`);
+    }
+    const {
+      format, width, height, scale, landscape, margin, pageRanges, printBackground, preferCSSPageSize
+    } = args;
+    const pdf = await page.pdf({
+      format, width, height, scale, landscape, margin, pageRanges, printBackground, preferCSSPageSize
+    });
     return {
       status: function () {
-        return result.status;
+        return 200;
       },
       headers: function () {
-        return getProxyHeaders(result.headers);
+        return { 'content-type': 'application/pdf' };
       },
-      buffer: function () {
-        return Promise.resolve(base64ToBuffer(result.body));
+      buffer: async function () {
+        return pdf;
+      }
+    };
+  });
+
+  handler.on(/^\/(\d+)\/input$/, 'POST', async (session) => {
+    const obj = authorizedSessionObj(session);
+    obj.accessedAt = Date.now();
+    const data = (await handler.getData()).toString();
+    let input;
+    try {
+      // the shim posts a form when it wants to show the response
+      input = JSON.parse(/^application\/x-www-form-urlencoded/.test(request.headers['content-type']) ?
+          new URLSearchParams(data).get('input') : data);
+    } catch (e) {
+      throw httpError(400, `Malformed input: ${e.message}`);
+    }
+    const response = await replayInput(obj, input);
+    if (!input.render) {
+      return { success: true };
+    }
+    if (response) {
+      return getPatchedPageResponse(response, obj);
+    }
+    return {
+      status: function () {
+        return 200;
+      },
+      headers: function () {
+        return { 'content-type': 'text/html' };
+      },
+      text: function () {
+        return getPatchedPageContent(obj);
+      }
+    };
+  });
+
+  handler.on(/^\/(\d+)\/har$/, 'GET', async (session) => {
+    const { har } = authorizedSessionObj(session);
+    const text = JSON.stringify(har.toHar());
+    return {
+      status: function () {
+        return 200;
+      },
+      headers: function () {
+        return {
+          'content-type': 'application/json',
+          'content-disposition': `attachment; filename="${session}.har"`,
+        };
+      },
+      text: async function () {
+        return text;
       }
     };
   });
 
+  handler.on(/^\/(\d+)\/emulation$/, 'GET', async (session) => {
+    return authorizedSessionObj(session).emulation;
+  });
+
+  handler.on(/^\/(\d+)\/emulation$/, 'PUT', async (session) => {
+    const obj = authorizedSessionObj(session);
+    let body;
+    try {
+      body = JSON.parse(await handler.getData());
+    } catch (e) {
+      throw httpError(400, `Malformed emulation: ${e.message}`);
+    }
+    const emulation = emulationProfile(body);
+    try {
+      await applyEmulation(obj, emulation);
+    } catch (e) {
+      // don't leave the page half way between the profiles
+      await applyEmulation(obj, obj.emulation).catch((e) => logger.warn(e));
+      throw e;
+    }
+    obj.emulation = emulation;
+    return { ...emulation, success: true };
+  });
+
+  handler.on(/^\/(\d+)\/storage$/, 'GET', async (session) => {
+    return exportState(authorizedSessionObj(session));
+  });
+
+  handler.on(/^\/(\d+)\/storage$/, 'PUT', async (session) => {
+    const obj = authorizedSessionObj(session);
+    let state;
+    try {
+      state = JSON.parse(await handler.getData());
+    } catch (e) {
+      throw httpError(400, `Malformed state: ${e.message}`);
+    }
+    await importState(obj, state);
+    return { success: true };
+  });
+
+  handler.on(/^\/(\d+)\/rules$/, 'GET', async (session) => {
+    const { rules } = authorizedSessionObj(session);
+    return { rules: rules.rules, defaults: rules.defaults };
+  });
+
+  handler.on(/^\/(\d+)\/rules$/, 'PUT', async (session) => {
+    const obj = authorizedSessionObj(session);
+    let body;
+    try {
+      body = JSON.parse(await handler.getData());
+    } catch (e) {
+      throw httpError(400, `Malformed rules: ${e.message}`);
+    }
+    await setSessionRules(obj, body.rules || [], body.defaults !== false);
+    return { rules: obj.rules.rules, defaults: obj.rules.defaults, success: true };
+  });
+
+  handler.on(/^\/(\d+)\/rules$/, 'DELETE', async (session) => {
+    const obj = authorizedSessionObj(session);
+    await setSessionRules(obj, [], true);
+    return { success: true };
+  });
+
   handler.on(/^\/(\d+)\/page/, 'GET', async (session) => {
-    const obj = sessionObj(session);
+    const obj = authorizedSessionObj(session);
     const { page, interceptor } = obj;
-    return getPatchedPageResponse(await interceptor.getResponse(page.url()), obj);
+    return getPatchedPageResponse(await interceptor.getResponse(page.url(), { signal: clientGone.signal }), obj);
   });
 
   handler.on(/^\/(\d+)\/reload/, 'GET', async (session) => {
-    const obj = sessionObj(session);
+    const obj = authorizedSessionObj(session);
     obj.accessedAt = Date.now();
     const { page, interceptor } = obj;
     interceptor.clear();
@@ -425,7 +2334,7 @@ window.fetch = function () {
   });
 
   handler.on(/^\/(\d+)\/go-back/, 'GET', async (session) => {
-    const obj = sessionObj(session);
+    const obj = authorizedSessionObj(session);
     obj.accessedAt = Date.now();
     const { page, interceptor } = obj;
     interceptor.clear();
@@ -434,7 +2343,7 @@ window.fetch = function () {
   });
 
   handler.on(/^\/(\d+)\/go-forward/, 'GET', async (session) => {
-    const obj = sessionObj(session);
+    const obj = authorizedSessionObj(session);
     obj.accessedAt = Date.now();
     const { page, interceptor } = obj;
     interceptor.clear();
@@ -443,6 +2352,7 @@ window.fetch = function () {
   });
 
   handler.on(/^\/(\d+)/, 'DELETE', async (session) => {
+    authorizedSessionObj(session);
     deleteSession(session);
     return { success: true };
   });
@@ -456,36 +2366,192 @@ server.listen(config.server.port, '0.0.0.0');
 // Also it can execute crawlers.
 // Received message format:
 // {"method": ..., "target": "page", "payload": ...}  -- method and arguments
-// of Puppeteer's Page
+// of Puppeteer's Page, e.g. "goto" or "keyboard.press"
 // {"method": ..., "target": "browser", "payload": ...}  -- method and arguments
 // of Puppeteer's Browser
+// only the methods of the command registry (see util/command-registry.js)
+// can be called, with valid arguments and permissions of the client
+// {"create": true}  -- create a session, same as GET /session, but the
+// position in the queue is reported while waiting for a free browser;
+// {"create": {"wait": false}} fails immediately if there is no one,
+// {"create": {"profile": ..., "emulation": {...}}} starts the session with
+// the saved profile, and the emulation profile (see util/emulation.js);
+// {"create": {"proxy": ..., "domain": ...}} goes through the upstream proxy,
+// see GET /session;
+// the socket is subscribed to all the events of the created session
+// {"subscribe": {"topics": [...], "resourceTypes": [...]}}  -- subscribe to
+// the events of the session, only of the given topics (of EVENT_TOPICS) and
+// resource types (e.g. "document", "xhr") if set, {"subscribe": true} for all;
+// any number of sockets can subscribe, a socket which doesn't read fast enough
+// misses the events, {"unsubscribe": true} to unsubscribe
+// {"dialog": ..., "accept": true, "text": ...}  -- answer the dialog of the
+// given "id" (see "dialog" message), "text" is the answer to prompt;
+// "accept": false dismisses it
+// {"mirror": true}  -- subscribe to the live mirror of the page's DOM, or
+// resync it if already subscribed, {"mirror": false} to unsubscribe
+// (see util/dom-mirror.js; GET /<session-id>/mirror serves a player of it)
+// {"screencast": {"format": ..., "quality": ..., "maxWidth": ..., "maxHeight": ...,
+// "everyNthFrame": ...}}  -- subscribe to the frames of the page (all options are
+// optional, and are set by the first subscriber), {"screencast": false} to unsubscribe
 // {"script": ...}  -- script to execute,
 // script must be a function declaration (no call, no export statements), with
 // a single argument of type Page, which returns a Promise of 2D array of data.
+// It runs in a sandbox (see util/script-sandbox.js) with limited set of page
+// methods, and helpers `sleep(ms)` and `log(...args)`, and is terminated on
+// exceeding time or memory limits of config.sandbox; there can be at most
+// config.sandbox.maxSessionScripts running in the session, and maxScripts
+// in all, more are rejected with BUSY error
+// {"cancel": ...}  -- cancel the script which has been sent with given "id",
+// result is false if there is no such script running
+// {"rules": [...], "defaults": true}  -- block, rewrite or mock requests
+// of the page by the rules (see util/request-rules.js), followed by
+// config.requestRules.defaults unless "defaults" is false, same as
+// PUT /<session-id>/rules; {"rules": null} drops the rules of the session
+// {"job": {"script": ..., "session": ...}}  -- submit the script as a job, which
+// runs in the background in the given session, or in a session of its own,
+// result is the job (same as GET /jobs/<job-id>), and its progress is reported
+// to the socket; the result of the job is kept to be downloaded via
+// GET /jobs/<job-id>/result?format=csv|json|ndjson, DELETE /jobs/<job-id>
+// cancels the job (or removes the finished one)
+// {"job": {"crawl": {"seeds": [...], "script": ..., "follow": {...}, ...}}}  --
+// submit a crawl of many pages as a job, see util/crawl-frontier.js for the
+// options; POST /schedules with {"cron": ..., "crawl": ...} submits it
+// repeatedly
+// {"watch": ...}, {"unwatch": ...}  -- (un)subscribe to the progress of the job
 //
 // Sent message format:
 // {"type": "result", "result": ...}  -- method execution finished, or promise
 // returned by method resolved
-// {"type": "error", "error": ...}  -- method threw an exception, I guess?
+// {"type": "error", "error": ..., "code": ...}  -- command is invalid or
+// failed, "code" is one of ERROR_CODES of util/command-registry.js
+// {"type": "queue", "position": ...}  -- position in the queue of "create"
+// {"type": "log", "log": [...], "job": ...}  -- arguments of `log` called by
+// the script, "job" is the job ID if the script runs as a job
+// {"type": "job", "job": ...}  -- status of the job has changed
+// {"type": "mirror", "seq": ..., "snapshot"|"patches": ...}  -- DOM of
+// the page, or its changes since the message with the previous "seq"
+// {"type": "frame", "frame": {"data": ..., "metadata": ...}}  -- screencast
+// frame, base64-encoded image and its metadata as of CDP Page.screencastFrame
 // {"type": "request", "request": ...}  -- request sent by the page
 // {"type": "response", "response": ...}  -- response received by the page
+// {"type": "console", "console": {"type": ..., "text": ..., "location": ...}}  --
+// message logged to the page's console
+// {"type": "pageerror", "pageerror": {"message": ..., "stack": ...}}  --
+// uncaught exception in the page
+// {"type": "requestfailed", "requestfailed": {"url": ..., "errorText": ...}}  --
+// request of the page failed, e.g. was blocked by the rules
+// {"type": "dialog", "dialog": {"id": ..., "type": ..., "message": ...,
+// "defaultValue": ...}}  -- alert, confirm, prompt or beforeunload dialog is
+// open, the page waits until it's answered; if there are no subscribers of
+// "dialog" topic, or none answers in config.events.dialogTimeout, beforeunload
+// is accepted (so the navigation goes on), and the others are dismissed
+// {"type": "navigation", "navigation": {"url": ...}}  -- page is navigated
+// {"type": "domcontentloaded"|"load", ...: {"url": ...}}  -- page is loaded,
+// these are of "navigation" topic
+// {"type": "popup", "popup": {"url": ...}}  -- page opened a popup window
+// {"type": "proxy", "proxy": {"server": ..., "error": ..., "url": ...}}  --
+// requests fail because of the upstream proxy, which is marked unhealthy
+// and isn't given to new sessions for config.upstreamProxies.retryAfter
+// {"type": "dropped", "dropped": ...}  -- number of the events missed
+// as the socket didn't read fast enough
+// {"type": "dead", "reason": ...}  -- session is terminated, e.g. because
+// its browser disconnected
 //
 // Each incoming and outgoing message contain "session" which identify
 // browser session, and optional "id" to match method results to the call.
-const wss = new WebSocketServer({ server });
+// Client is authenticated on handshake, same way as HTTP requests,
+// and can only command sessions it has created.
+// client/ is a client library of this protocol, with its type definitions.
+const wss = new WebSocketServer({
+  noServer: true,
+  verifyClient: ({ req }, done) => {
+    // authenticate the handshake, the client is then kept with the request
+    try {
+      req.proxyClient = auth.authenticate(req);
+      done(true);
+    } catch (e) {
+      done(false, e.statusCode, e.message);
+    }
+  }
+});
+
+// websockets opened by the proxied pages are relayed to their targets,
+// i.e. upgrade requests to /<session-id>/socket/<URL>
+const relay = socketRelay();
+
+async function relaySocket(request, socket, head, session, url) {
+  const client = auth.authenticate(request);
+  auth.throttle(client);
+  const { page, browser, proxy } = ownedSessionObj(session, client);
+  url = decodeURIComponent(url);
+  // let the target see the same origin, agent and cookies as from the page
+  const cookies = await page.cookies(url.replace(/^ws/, 'http'));
+  const headers = {
+    origin: new URL(page.url()).origin,
+    'user-agent': await browser.userAgent(),
+  };
+  if (cookies.length) {
+    headers.cookie = cookies.map(({ name, value }) => `${name}=${value}`).join('; ');
+  }
+  await relay.relay(request, socket, head, url, {
+    headers,
+    // devtools of the browsers would give the page full control of them
+    deniedHosts: browsers.endpoints.map(({ browserURL }) => new URL(browserURL).hostname),
+    // the target sees the same address as the page's connections come from
+    proxy,
+  });
+}
+
+server.on('upgrade', (request, socket, head) => {
+  let path = new URL(request.url, 'http://localhost').pathname;
+  if (config.server.location && path.startsWith(config.server.location)) {
+    path = path.substring(config.server.location.length);
+  }
+  const match = /^\/(\d+)\/socket\/(.*)/.exec(path);
+  if (match) {
+    relaySocket(request, socket, head, ...match.slice(1)).catch((e) => {
+      logger.warn(e);
+      const statusCode = e.statusCode || 500;
+      socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\nConnection: close\r\n\r\n`);
+    });
+  } else {
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request);
+    });
+  }
+});
+
+wss.on('connection', (ws, request) => {
+  const client = request.proxyClient;
 
-wss.on('connection', (ws) => {
   ws.on('error', logger.warn);
 
-  ws.on('message', (data) => {
-    const message = JSON.parse(data);
-    const session = message.session;
-    const obj = sessionObj(session);
-    const { page, browser } = obj;
-    const id = message.id;
+  ws.on('close', () => {
+    jobs.forEach(({ watchers }) => watchers.delete(ws));
+    // stop mirroring and screencasting to the closed socket
+    pool.forEach((obj) => {
+      if (obj && obj.subscribers) {
+        obj.subscribers.delete(ws);
+      }
+      if (obj && obj.mirror) {
+        obj.mirror.subscribers.delete(ws);
+      }
+      if (obj && obj.screencast) {
+        stopScreencast(obj, ws).catch((e) => logger.warn(e));
+      }
+    });
+  });
 
-    // save websocket to the session to send events like requests/responses
-    obj.ws = ws;
+  ws.on('message', (data) => {
+    let message = null;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      // reported below
+    }
+    const valid = message && typeof message == 'object' && !Array.isArray(message);
+    const session = valid ? message.session : undefined;
+    const id = valid ? message.id : undefined;
 
     function sendMessage(message) {
       ws.send(JSON.stringify({ ...message, session, id }));
@@ -497,37 +2563,168 @@ wss.on('connection', (ws) => {
 
     function sendError(error) {
       logger.warn(error);
-      sendMessage({ type: "error", error: error.toString() });
+      sendMessage({ type: "error", error: error.toString(), code: errorCode(error) });
+    }
+
+    if (!valid) {
+      sendError(commandError(ERROR_CODES.BAD_MESSAGE, 'Message must be a JSON object'));
+      return;
+    }
+
+    if (message.create) {
+      // create a session, reporting the position while waiting in the queue
+      const controller = new AbortController();
+      ws.once('close', () => controller.abort());
+      try {
+        auth.throttle(client);
+      } catch (e) {
+        sendError(e);
+        return;
+      }
+      const { profile, emulation, proxy, domain } = message.create;
+      (profile ? ownedProfile(profile, client) : Promise.resolve(null)).then((record) => acquireSession({
+        client,
+        state: record && record.state,
+        emulation,
+        proxy,
+        domain,
+      }, {
+        wait: message.create.wait !== false,
+        onPosition: (position) => sendMessage({ type: "queue", position }),
+        signal: controller.signal,
+      })).then((session) => {
+        // the creator gets all the events of the session
+        subscribe(sessionObj(session), ws);
+        ws.send(JSON.stringify({ type: "result", result: { session, success: true }, session, id }));
+      }, sendError);
+      return;
+    }
+
+    if ('job' in message) {
+      // submit crawler job, its progress is reported to this socket
+      const { script, crawl, session } = message.job || {};
+      try {
+        auth.throttle(client);
+      } catch (e) {
+        sendError(e);
+        return;
+      }
+      submitJob({ client, script, crawl, session, watcher: ws })
+          .then(({ record }) => sendResult(jobInfo(record)), sendError);
+      return;
+    }
+
+    if ('watch' in message || 'unwatch' in message) {
+      // (un)subscribe to the progress of the job
+      try {
+        auth.throttle(client);
+        if ('watch' in message) {
+          const entry = ownedJob(message.watch, client);
+          entry.watchers.add(ws);
+          sendResult(jobInfo(entry.record));
+        } else {
+          ownedJob(message.unwatch, client).watchers.delete(ws);
+          sendResult(null);
+        }
+      } catch (e) {
+        sendError(e);
+      }
+      return;
+    }
+
+    let obj;
+    try {
+      auth.throttle(client);
+      obj = ownedSessionObj(session, client);
+    } catch (e) {
+      sendError(e);
+      return;
     }
+    const { page, browser } = obj;
 
     try {
-      if (message.method) {
+      if ('method' in message) {
         obj.accessedAt = Date.now();
-        let args = [];
-        if (message.payload) {
-          args = message.payload;
-        }
-        let result;
-        if (message.target === 'page') {
-          result = page[message.method](...args);
-        } else if (message.target === 'browser') {
-          result = browser[message.method](...args);
-        } else {
-          throw new Error(`Invalid method target: ${message.target}`);
+        const args = message.payload === undefined ? [] : message.payload;
+        if (!['page', 'browser'].includes(message.target)) {
+          throw commandError(ERROR_CODES.INVALID_TARGET, `Invalid method target: ${message.target}`);
         }
-        if (result === undefined || result == null) {
+        checkCommand(message.target, message.method, args, clientPermissions(client));
+        callCommand(message.target === 'page' ? page : browser, message.method, args)
+            .then(sendResult)
+            .catch(sendError);
+      } else if ('mirror' in message) {
+        if (message.mirror) {
+          // (re)subscribe, and send the snapshot to start from
+          startMirror(obj, request.headers.host).then(() => {
+            obj.mirror.subscribers.add(ws);
+            return page.evaluate(`window.${MIRROR_BINDING}Recorder && window.${MIRROR_BINDING}Recorder.resync()`);
+          }).then(() => sendResult(null), sendError);
+        } else {
+          if (obj.mirror) {
+            obj.mirror.subscribers.delete(ws);
+          }
           sendResult(null);
-        } else if (typeof result.then == 'function') {
-          result.then(sendResult, sendError);
+        }
+      } else if ('screencast' in message) {
+        if (message.screencast) {
+          obj.accessedAt = Date.now();
+          const { format, quality, maxWidth, maxHeight, everyNthFrame } = message.screencast;
+          // omitted options (undefined, so dropped by JSON) are taken from config
+          startScreencast(obj, ws, JSON.parse(JSON.stringify({
+            format, quality, maxWidth, maxHeight, everyNthFrame
+          }))).then(() => sendResult(null), sendError);
         } else {
-          sendResult(result);
+          stopScreencast(obj, ws).then(() => sendResult(null), sendError);
+        }
+      } else if ('script' in message) {
+        if (!clientPermissions(client).includes('script')) {
+          throw commandError(ERROR_CODES.FORBIDDEN, 'Permission "script" is required for script');
+        }
+        if (typeof message.script != 'string') {
+          throw commandError(ERROR_CODES.INVALID_ARGUMENTS, 'Script must be a string');
+        }
+        // scripts sent with id can be cancelled by it, others are
+        // only kept to be cancelled with the session
+        const key = id === undefined ? `script:${++obj.lastScript}` : id;
+        if (obj.scripts.has(key)) {
+          throw new Error(`Script ${id} is already running`);
+        }
+        checkScriptSlots(obj);
+        const script = runScript(message.script, page, {
+          ...config.sandbox,
+          permissions: clientPermissions(client),
+          onLog: (log) => sendMessage({ type: "log", log }),
+        });
+        // session must not expire while the script is running
+        obj.accessedAt = Date.now() + config.sandbox.timeout;
+        obj.scripts.set(key, script);
+        script.promise.finally(() => {
+          obj.scripts.delete(key);
+          obj.accessedAt = Date.now();
+        }).then(sendResult, sendError);
+      } else if ('subscribe' in message) {
+        const { topics, resourceTypes } = message.subscribe === true ? {} : message.subscribe || {};
+        if ((topics && !Array.isArray(topics)) || (resourceTypes && !Array.isArray(resourceTypes))) {
+          throw commandError(ERROR_CODES.INVALID_ARGUMENTS, 'Topics and resource types must be arrays');
+        }
+        sendResult(subscribe(obj, ws, { topics, resourceTypes }));
+      } else if ('dialog' in message) {
+        answerDialog(obj, message.dialog, { accept: message.accept, text: message.text })
+            .then(() => sendResult(true), sendError);
+      } else if ('unsubscribe' in message) {
+        sendResult(obj.subscribers.delete(ws));
+      } else if ('rules' in message) {
+        setSessionRules(obj, message.rules || [], message.defaults !== false)
+            .then(() => sendResult({ rules: obj.rules.rules, defaults: obj.rules.defaults }), sendError);
+      } else if ('cancel' in message) {
+        const script = obj.scripts.get(message.cancel);
+        if (script) {
+          script.cancel();
         }
-      } else if (message.script) {
-        obj.accessedAt = Date.now() + config.browserPool.scriptTimeout;
-        const f = new Function('page', `return (${message.script})(page);`);
-        f(page).then(sendResult, sendError);
+        sendResult(!!script);
       } else {
-        logger.warn("Bad command, ignore");
+        throw commandError(ERROR_CODES.UNKNOWN_COMMAND, 'Unknown command');
       }
     } catch (e) {
       sendError(e);
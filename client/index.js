@@ -0,0 +1,664 @@
+// client of the proxy, for Node and the browser.
+//
+// sessions are created and commanded via the websocket protocol documented
+// in app.js, HTTP is only used to delete them, to get their network logs,
+// cookies and storage, to manage profiles, and to download results of
+// the jobs. every command returns a Promise of its result, matched by
+// message "id". if the websocket is lost,
+// it is reconnected, commands in flight are rejected with code "DISCONNECTED",
+// and the sessions are bound to the new websocket again.
+//
+// usage:
+//   const proxy = proxyClient({ url: 'http://127.0.0.1:8090/proxy' });
+//   const session = await proxy.createSession();
+//   session.on('response', (response) => console.log(response.status, response.url));
+//   await session.page.goto('https://example.com');
+//   const title = await session.page.evaluate(() => document.title);
+//   await session.close();
+//   proxy.close();
+
+// methods whose function argument is executed in the page, it is
+// inlined into expression, since functions can't be sent as is
+const EVALUATE_METHODS = ['evaluate', '$eval', '$$eval', 'waitForFunction'];
+
+/**
+ * Create an error with the code of the protocol,
+ * or of the client: "DISCONNECTED", "TIMEOUT", "CANCELLED"
+ * @param code {string}
+ * @param message {string}
+ * @return {Error}
+ */
+function proxyError(code, message) {
+  const error = new Error(message);
+  error.name = 'ProxyError';
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get error code of the protocol by HTTP status
+ * @param status {number}
+ * @return {string}
+ */
+function httpErrorCode(status) {
+  return {
+    400: 'BAD_MESSAGE',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    429: 'RATE_LIMITED',
+    503: 'UNAVAILABLE',
+  }[status] || 'FAILED';
+}
+
+/**
+ * Minimal event emitter, Node's one is not available in the browser
+ */
+function emitter() {
+  const listeners = {};
+
+  return {
+    on: function (event, listener) {
+      (listeners[event] ||= []).push(listener);
+      return this;
+    },
+
+    off: function (event, listener) {
+      listeners[event] = (listeners[event] || []).filter((l) => l !== listener && l.listener !== listener);
+      return this;
+    },
+
+    once: function (event, listener) {
+      const once = (...args) => {
+        this.off(event, once);
+        listener(...args);
+      };
+      once.listener = listener;
+      return this.on(event, once);
+    },
+
+    emit: function (event, ...args) {
+      (listeners[event] || []).slice().forEach((listener) => listener(...args));
+      return this;
+    },
+  };
+}
+
+/**
+ * Turn function and its arguments into expression which calls it
+ * @param fn {function|string}
+ * @param args {Array}
+ * @return {string}
+ */
+function inlineCall(fn, args) {
+  return typeof fn == 'function' ? `(${fn})(...${JSON.stringify(args)})` : fn;
+}
+
+/**
+ * Make arguments of page method sendable, inlining functions
+ * @param method {string}
+ * @param args {Array}
+ * @return {{method: string, args: Array}}
+ */
+function sendableCall(method, args) {
+  if (EVALUATE_METHODS.includes(method) && args.some((arg) => typeof arg == 'function')) {
+    switch (method) {
+      case 'evaluate':
+        return { method, args: [inlineCall(args[0], args.slice(1))] };
+
+      case 'waitForFunction':
+        return { method, args: [inlineCall(args[0], args.slice(2)), ...args.slice(1, 2)] };
+
+      case '$eval':
+      case '$$eval': {
+        const [selector, fn, ...rest] = args;
+        const elements = method === '$eval' ?
+            `document.querySelector(${JSON.stringify(selector)})` :
+            `Array.from(document.querySelectorAll(${JSON.stringify(selector)}))`;
+        return {
+          method: 'evaluate',
+          args: [`((elements, args) => (${fn})(elements, ...args))(${elements}, ${JSON.stringify(rest)})`],
+        };
+      }
+    }
+  }
+  if (args.some((arg) => typeof arg == 'function')) {
+    throw new TypeError(`Functions can't be passed to ${method}`);
+  }
+  return { method, args };
+}
+
+/**
+ * Make API object which turns `api.a.b(...args)` into `call("a.b", args)`
+ * @param call {function(string, Array): Promise}
+ * @param path {string[]}
+ * @return {object}
+ */
+function methodProxy(call, path = []) {
+  return new Proxy(function () {}, {
+    // not a thenable, so it can be awaited
+    get: (target, name) => typeof name == 'string' && name !== 'then' ? methodProxy(call, [...path, name]) : undefined,
+    apply: (target, self, args) => call(path.join('.'), args),
+  });
+}
+
+/**
+ * Proxy client
+ * @param options {{
+ *   url: string,
+ *   endpoint: string,
+ *   apiKey: string,
+ *   token: string,
+ *   timeout: number,
+ *   reconnectDelay: number,
+ *   maxReconnectDelay: number,
+ *   WebSocket: function
+ * }} `url` is HTTP URL of the proxy including its location, e.g.
+ * "http://127.0.0.1:8090/proxy", `endpoint` is its websocket URL, made of `url`
+ * if omitted. `apiKey` is only sent by Node, as browsers can't set headers
+ * of websockets, a `token` signed with it is used there. `timeout` of commands
+ * is in ms, 0 to wait forever. `WebSocket` is the implementation to use,
+ * the global one or that of `ws` package by default
+ */
+function proxyClient({
+  url,
+  endpoint = url.replace(/^http/, 'ws'),
+  apiKey,
+  token,
+  timeout = 30000,
+  reconnectDelay = 1000,
+  maxReconnectDelay = 30000,
+  WebSocket = globalThis.WebSocket || require('ws'),
+}) {
+  const client = emitter();
+  const sessions = new Map();
+  const calls = new Map();
+  let lastId = 0;
+  let ws = null;
+  let opened = null;
+  let closed = false;
+  let attempts = 0;
+
+  function httpHeaders() {
+    return apiKey ? { 'x-api-key': apiKey } : token ? { authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Make HTTP request to the proxy
+   * @param path {string} path after the proxy's URL
+   * @param options {{method: string, body: object}} body is sent as JSON
+   * @return {Promise<Response>} rejected with the error of the protocol
+   * if the response is not successful
+   */
+  async function httpRequest(path, { method = 'GET', body } = {}) {
+    const headers = httpHeaders();
+    if (body !== undefined) {
+      headers['content-type'] = 'application/json';
+    }
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      throw proxyError(httpErrorCode(response.status), error || response.statusText);
+    }
+    return response;
+  }
+
+  function socketUrl() {
+    return token ? `${endpoint}${endpoint.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : endpoint;
+  }
+
+  function connect() {
+    if (opened) {
+      return opened;
+    }
+    closed = false;
+    opened = new Promise((resolve, reject) => {
+      // `ws` package accepts headers, browser's WebSocket doesn't
+      const socket = apiKey && !globalThis.document ?
+          new WebSocket(socketUrl(), { headers: { 'x-api-key': apiKey } }) :
+          new WebSocket(socketUrl());
+      ws = socket;
+
+      socket.onopen = () => {
+        const reconnected = attempts > 0;
+        attempts = 0;
+        resolve();
+        client.emit('open');
+        if (reconnected) {
+          sessions.forEach((session) => session.rebind());
+          client.emit('reconnect');
+        }
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(typeof event.data == 'string' ? event.data : String(event.data));
+        } catch (e) {
+          client.emit('error', e);
+          return;
+        }
+        dispatch(message);
+      };
+
+      socket.onerror = (event) => {
+        client.emit('error', event.error || new Error('Websocket error'));
+      };
+
+      socket.onclose = () => {
+        ws = null;
+        opened = null;
+        reject(proxyError('DISCONNECTED', 'Websocket is closed'));
+        calls.forEach((call) => call.reject(proxyError('DISCONNECTED', 'Websocket is closed')));
+        client.emit('close');
+        if (!closed) {
+          // reconnect with exponential backoff
+          const delay = Math.min(reconnectDelay * 2 ** attempts++, maxReconnectDelay);
+          setTimeout(() => {
+            if (!closed) {
+              connect().catch(() => {});
+            }
+          }, delay);
+        }
+      };
+    });
+    return opened;
+  }
+
+  function dispatch(message) {
+    const call = calls.get(message.id);
+    if (call) {
+      switch (message.type) {
+        case 'result':
+          call.resolve(message.result);
+          return;
+
+        case 'error':
+          call.reject(proxyError(message.code, message.error));
+          return;
+
+        case 'queue':
+          if (call.onPosition) {
+            call.onPosition(message.position);
+          }
+          return;
+
+        case 'log':
+          if (call.onLog) {
+            call.onLog(message.log);
+          }
+          return;
+      }
+    }
+    if (message.type === 'job') {
+      client.emit('job', message.job);
+    } else if (message.type === 'log' && message.job) {
+      client.emit('jobLog', { job: message.job, log: message.log });
+    }
+    const session = sessions.get(message.session);
+    if (session) {
+      session.emit(message.type, message[message.type] !== undefined ? message[message.type] : message);
+      if (message.type === 'dead') {
+        sessions.delete(message.session);
+      }
+    }
+    client.emit('message', message);
+  }
+
+  /**
+   * Send the message and wait for its result
+   * @param message {object}
+   * @param options {{timeout: number, onPosition: function, onLog: function, signal: AbortSignal}}
+   * @return {Promise<*>}
+   */
+  async function send(message, { timeout: callTimeout = timeout, onPosition, onLog, signal } = {}) {
+    await connect();
+    const id = ++lastId;
+    return new Promise((resolve, reject) => {
+      let timer;
+      const finish = (settle) => (value) => {
+        calls.delete(id);
+        clearTimeout(timer);
+        settle(value);
+      };
+      calls.set(id, { resolve: finish(resolve), reject: finish(reject), onPosition, onLog });
+      if (callTimeout) {
+        timer = setTimeout(() => {
+          calls.get(id).reject(proxyError('TIMEOUT', `No result in ${callTimeout} ms`));
+        }, callTimeout);
+      }
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const call = calls.get(id);
+          if (call) {
+            call.reject(proxyError('CANCELLED', 'Cancelled'));
+            if ('script' in message) {
+              ws.send(JSON.stringify({ session: message.session, cancel: id }));
+            }
+          }
+        });
+      }
+      ws.send(JSON.stringify({ ...message, id }));
+    });
+  }
+
+  function sessionClient(id, subscribed) {
+    const session = emitter();
+    let mirroring = false;
+    let screencast = null;
+    // topics the session's events are subscribed to, null if not subscribed
+    let subscription = subscribed ? {} : null;
+
+    function call(target, method, args, options) {
+      if (target === 'page') {
+        ({ method, args } = sendableCall(method, args));
+      }
+      return send({ session: id, target, method, payload: args }, options);
+    }
+
+    return Object.assign(session, {
+      id,
+      page: methodProxy((method, args) => call('page', method, args)),
+      browser: methodProxy((method, args) => call('browser', method, args)),
+
+      /**
+       * Call method of the page or the browser with options of the call
+       * @param target {string} "page" or "browser"
+       * @param method {string}
+       * @param args {Array}
+       * @param options {{timeout: number, signal: AbortSignal}}
+       * @return {Promise<*>}
+       */
+      call,
+
+      /**
+       * Run crawler script in the proxy's sandbox
+       * @param script {function|string} function with `page` argument
+       * @param options {{timeout: number, signal: AbortSignal, onLog: function(Array)}}
+       * timeout is 0 by default, the proxy limits the scripts anyway
+       * @return {Promise<*>}
+       */
+      script: function (script, options = {}) {
+        return send({ session: id, script: String(script) }, { timeout: 0, ...options });
+      },
+
+      /**
+       * Subscribe to the live mirror of the page's DOM, or unsubscribe
+       * @param enabled {boolean}
+       * @return {Promise<void>}
+       */
+      mirror: async function (enabled = true) {
+        await send({ session: id, mirror: enabled });
+        mirroring = enabled;
+      },
+
+      /**
+       * Subscribe to the screencast frames, or unsubscribe if options are false
+       * @param options {object|false}
+       * @return {Promise<void>}
+       */
+      screencast: async function (options = {}) {
+        await send({ session: id, screencast: options });
+        screencast = options || null;
+      },
+
+      /**
+       * Subscribe to the events of the session, of all topics, or only of
+       * the given ones; sessions made by {@link createSession} are subscribed
+       * to all events already
+       * @param options {{topics: string[], resourceTypes: string[]}}
+       * @return {Promise<void>}
+       */
+      subscribe: async function (options = {}) {
+        await send({ session: id, subscribe: options });
+        subscription = options;
+      },
+
+      /**
+       * Unsubscribe from the events of the session
+       * @return {Promise<void>}
+       */
+      unsubscribe: async function () {
+        await send({ session: id, unsubscribe: true });
+        subscription = null;
+      },
+
+      /**
+       * Answer the dialog of the page, see "dialog" event
+       * @param dialog {number} id of the dialog
+       * @param options {{accept: boolean, text: string}} `text` is the answer
+       * to prompt, the dialog is dismissed unless `accept`
+       * @return {Promise<void>}
+       */
+      answerDialog: async function (dialog, { accept = true, text } = {}) {
+        await send({ session: id, dialog, accept, text });
+      },
+
+      /**
+       * Set rules to block, rewrite or mock requests of the page, see
+       * util/request-rules.js of the proxy; null drops the rules
+       * @param rules {object[]|null}
+       * @param options {{defaults: boolean}} whether the default rules of
+       * the proxy apply after the given ones, true by default
+       * @return {Promise<{rules: object[], defaults: boolean}>}
+       */
+      rules: function (rules, { defaults = true } = {}) {
+        return send({ session: id, rules, defaults });
+      },
+
+      /**
+       * Let the proxy send the events of the session to the current websocket
+       * again, e.g. after reconnect
+       * @return {Promise<void>}
+       */
+      rebind: async function () {
+        try {
+          if (subscription) {
+            await send({ session: id, subscribe: subscription });
+          }
+          if (mirroring) {
+            await send({ session: id, mirror: true });
+          }
+          if (screencast) {
+            await send({ session: id, screencast });
+          }
+        } catch (e) {
+          session.emit('error', e);
+        }
+      },
+
+      /**
+       * Get the network log of the session
+       * @return {Promise<object>} HAR 1.2
+       */
+      har: async function () {
+        return (await httpRequest(`/${id}/har`)).json();
+      },
+
+      /**
+       * Get the emulation profile of the session
+       * @return {Promise<object>}
+       */
+      emulation: async function () {
+        return (await httpRequest(`/${id}/emulation`)).json();
+      },
+
+      /**
+       * Replace the emulation profile of the session
+       * @param emulation {object} see util/emulation.js of the proxy
+       * @return {Promise<void>}
+       */
+      emulate: async function (emulation) {
+        await httpRequest(`/${id}/emulation`, { method: 'PUT', body: emulation });
+      },
+
+      /**
+       * Get cookies and storage of the session
+       * @return {Promise<{cookies: object[], origins: object[]}>}
+       */
+      storage: async function () {
+        return (await httpRequest(`/${id}/storage`)).json();
+      },
+
+      /**
+       * Add cookies and storage to the session
+       * @param state {{cookies: object[], origins: object[]}} as got by `storage`
+       * @return {Promise<void>}
+       */
+      setStorage: async function (state) {
+        await httpRequest(`/${id}/storage`, { method: 'PUT', body: state });
+      },
+
+      /**
+       * Save cookies and storage of the session as the named profile,
+       * to create sessions with later
+       * @param profile {string}
+       * @return {Promise<void>}
+       */
+      saveProfile: async function (profile) {
+        await httpRequest(`/profiles/${encodeURIComponent(profile)}`, { method: 'PUT', body: { session: id } });
+      },
+
+      /**
+       * Delete the session
+       * @return {Promise<void>}
+       */
+      close: async function () {
+        sessions.delete(id);
+        await httpRequest(`/${id}`, { method: 'DELETE' });
+      },
+    });
+  }
+
+  return Object.assign(client, {
+    connect,
+
+    /**
+     * Create a session
+     * @param options {{wait: boolean, profile: string, emulation: object, proxy: string,
+     * domain: string, onPosition: function(number), signal: AbortSignal}}
+     * `wait` for a free browser (default), reporting `onPosition` in the queue;
+     * the session starts with cookies and storage of the saved `profile`, and
+     * with `emulation` profile (see util/emulation.js of the proxy), if set;
+     * it goes through the upstream `proxy` URL, or through one of the proxy's
+     * pool, picked by `domain` to visit if the pool is sticky
+     * @return {Promise<object>} session
+     */
+    createSession: async function ({ wait = true, profile, emulation, proxy, domain, onPosition, signal } = {}) {
+      const { session } = await send({ create: { wait, profile, emulation, proxy, domain } },
+          { timeout: 0, onPosition, signal });
+      return this.session(session, { subscribed: true });
+    },
+
+    /**
+     * Get client of the existing session, e.g. created via HTTP; call its
+     * `subscribe` to get its events
+     * @param id {string}
+     * @param options {{subscribed: boolean}} whether the socket is subscribed
+     * to all events of the session already
+     * @return {object}
+     */
+    session: function (id, { subscribed = false } = {}) {
+      if (!sessions.has(id)) {
+        sessions.set(id, sessionClient(id, subscribed));
+      }
+      return sessions.get(id);
+    },
+
+    /**
+     * Submit crawler script as a job, which runs in the background even if
+     * the websocket is lost, its progress is emitted as "job" and "jobLog" events
+     * @param script {function|string} function with `page` argument
+     * @param options {{session: string}} session to run in, the job gets
+     * a session of its own if omitted
+     * @return {Promise<object>} job
+     */
+    submitJob: function (script, { session } = {}) {
+      return send({ job: { script: String(script), session } });
+    },
+
+    /**
+     * Submit a crawl of many pages as a job, see {@link submitJob}
+     * @param crawl {object} options of the crawl, see util/crawl-frontier.js
+     * @return {Promise<object>} job
+     */
+    submitCrawl: function (crawl) {
+      return send({ job: { crawl } });
+    },
+
+    /**
+     * Subscribe to the progress of the job, e.g. after reconnect
+     * @param job {string}
+     * @return {Promise<object>} job
+     */
+    watchJob: function (job) {
+      return send({ watch: job });
+    },
+
+    /**
+     * Unsubscribe from the progress of the job
+     * @param job {string}
+     * @return {Promise<void>}
+     */
+    unwatchJob: function (job) {
+      return send({ unwatch: job });
+    },
+
+    /**
+     * Download result of the finished job
+     * @param job {string}
+     * @param format {'json'|'csv'|'ndjson'}
+     * @return {Promise<Response>} response of fetch, to read the body of
+     */
+    jobResult: async function (job, format = 'json') {
+      return httpRequest(`/jobs/${job}/result?format=${format}`);
+    },
+
+    /**
+     * List saved profiles
+     * @return {Promise<{profile: string, createdAt: number, updatedAt: number}[]>}
+     */
+    profiles: async function () {
+      const { profiles } = await (await httpRequest('/profiles')).json();
+      return profiles;
+    },
+
+    /**
+     * Save cookies and storage as the named profile
+     * @param profile {string}
+     * @param state {{cookies: object[], origins: object[]}}
+     * @return {Promise<void>}
+     */
+    saveProfile: async function (profile, state) {
+      await httpRequest(`/profiles/${encodeURIComponent(profile)}`, { method: 'PUT', body: state });
+    },
+
+    /**
+     * Delete the profile
+     * @param profile {string}
+     * @return {Promise<void>}
+     */
+    deleteProfile: async function (profile) {
+      await httpRequest(`/profiles/${encodeURIComponent(profile)}`, { method: 'DELETE' });
+    },
+
+    /**
+     * Close the websocket, the sessions are left to expire
+     */
+    close: function () {
+      closed = true;
+      if (ws) {
+        ws.close();
+      }
+    },
+  });
+}
+
+module.exports = {
+  proxyClient,
+  proxyError,
+};
@@ -0,0 +1,58 @@
+// times are local, of a time zone with daylight saving time
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextCronTime } = require('../util/cron');
+
+const next = (expression, from) => new Date(nextCronTime(expression, new Date(from).getTime())).toString();
+const local = (time) => new Date(time).toString();
+
+test('fields are parsed to the sets of values', () => {
+  const cron = parseCron('*/20 9-17/4 1,15 * 1-5');
+  assert.deepStrictEqual([...cron.minutes], [0, 20, 40]);
+  assert.deepStrictEqual([...cron.hours], [9, 13, 17]);
+  assert.deepStrictEqual([...cron.days], [1, 15]);
+  assert.strictEqual(cron.months.size, 12);
+  assert.deepStrictEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.strictEqual(cron.anyDay, false);
+  assert.strictEqual(cron.anyWeekday, false);
+  assert.deepStrictEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.deepStrictEqual([...parseCron('0 0 * * 7').weekdays].sort(), [0, 7]);
+});
+
+test('malformed expressions are rejected', () => {
+  for (const expression of ['* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *',
+    '* * * * 8', '5-1 * * * *', '*/0 * * * *', 'a * * * *', '1,,2 * * * *']) {
+    assert.throws(() => parseCron(expression), Error, expression);
+  }
+});
+
+test('next time is strictly after the given one', () => {
+  assert.strictEqual(next('0 12 * * *', '2026-10-19T12:00:00'), local('2026-10-20T12:00:00'));
+  assert.strictEqual(next('* * * * *', '2026-10-19T12:00:30'), local('2026-10-19T12:01:00'));
+});
+
+test('days of month and of week match either if both are restricted', () => {
+  assert.strictEqual(next('0 12 13 * 5', '2026-10-19T00:00:00'), local('2026-10-23T12:00:00'));
+  assert.strictEqual(next('0 12 13 * 5', '2026-11-08T00:00:00'), local('2026-11-13T12:00:00'));
+  assert.strictEqual(next('0 9 * * 1-5', '2026-10-23T10:00:00'), local('2026-10-26T09:00:00'));
+});
+
+test('months and years roll over', () => {
+  assert.strictEqual(next('*/15 * * * *', '2026-12-31T23:59:30'), local('2027-01-01T00:00:00'));
+  assert.strictEqual(next('0 0 31 * *', '2026-04-01T00:00:00'), local('2026-05-31T00:00:00'));
+  assert.strictEqual(next('0 0 29 2 *', '2026-03-01T00:00:00'), local('2028-02-29T00:00:00'));
+  assert.throws(() => nextCronTime('0 0 30 2 *'), /never matches/);
+});
+
+test('daylight saving time changes', () => {
+  // 02:30 doesn't exist on the day clocks go forward
+  assert.strictEqual(next('30 2 * * *', '2026-03-28T12:00:00'), local('2026-03-30T02:30:00'));
+  assert.strictEqual(next('0 * * * *', '2026-03-29T01:30:00'), local('2026-03-29T03:00:00'));
+  // and 02:00-03:00 is passed twice on the day they go back, but only run once
+  const before = new Date('2026-10-25T02:45:00+02:00').getTime();
+  assert.strictEqual(nextCronTime('*/15 * * * *', before), new Date('2026-10-25T03:00:00+01:00').getTime());
+  assert.strictEqual(next('30 2 * * *', '2026-10-25T02:45:00+02:00'), local('2026-10-26T02:30:00'));
+  assert.strictEqual(next('0 3 * * *', '2026-10-25T01:00:00'), local('2026-10-25T03:00:00+01:00'));
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { headerPolicy } = require('../util/header-policy');
+const { TOKEN_COOKIE } = require('../util/client-auth');
+
+const policy = headerPolicy({ allow: ['*'], deny: ['x-frame-options'], rewrite: ['set-cookie'] });
+const context = { route: 'visit', url: 'https://example.com/', cookiePath: '/session/1/' };
+
+test('cookies are set for the path of the session', () => {
+  const headers = policy.apply({
+    'set-cookie': 'a=1; Domain=example.com; Path=/; Secure\nb=2; HttpOnly',
+  }, context);
+  assert.deepStrictEqual(headers['set-cookie'], [
+    'a=1; Secure; Path=/session/1/',
+    'b=2; HttpOnly; Path=/session/1/',
+  ]);
+});
+
+test('auth cookie of the proxy is dropped', () => {
+  const headers = policy.apply({
+    'set-cookie': `${TOKEN_COOKIE}=x; Path=/\nb=2`,
+  }, context);
+  assert.strictEqual(headers['set-cookie'], 'b=2; Path=/session/1/');
+  assert.deepStrictEqual(policy.apply({ 'set-cookie': `${TOKEN_COOKIE}=x` }, context), {});
+});
+
+test('own and denied headers do not pass', () => {
+  const headers = policy.apply({
+    'content-type': 'text/html',
+    'content-length': '10',
+    'content-encoding': 'gzip',
+    'X-Frame-Options': 'deny',
+  }, context);
+  assert.deepStrictEqual(headers, { 'content-type': 'text/html' });
+});
+
+test('range passes with partial content only', () => {
+  const headers = { 'content-range': 'bytes 0-9/100', 'accept-ranges': 'bytes' };
+  assert.deepStrictEqual(policy.apply(headers, { ...context, status: 206 }), headers);
+  assert.deepStrictEqual(policy.apply(headers, { ...context, status: 200 }), {});
+  assert.deepStrictEqual(policy.apply(headers, context), {});
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileRules, findRule } = require('../util/request-rules');
+
+const request = (url, resourceType = 'document', method = 'GET') => ({
+  url: () => url,
+  resourceType: () => resourceType,
+  method: () => method,
+});
+
+test('the first matching rule applies', () => {
+  const rules = [
+    { match: { url: '*://*.doubleclick.net/*' }, action: 'abort' },
+    { match: { resourceType: ['image', 'font'] }, action: 'abort', errorCode: 'failed' },
+    { match: { method: 'post', url: 'https://example.com/api/*' }, action: 'fulfill', response: { status: 204 } },
+    { action: 'continue' },
+  ];
+  const compiled = compileRules(rules);
+  assert.strictEqual(findRule(compiled, request('https://ad.doubleclick.net/x.gif', 'image')), rules[0]);
+  assert.strictEqual(findRule(compiled, request('https://example.com/logo.png', 'image')), rules[1]);
+  assert.strictEqual(findRule(compiled, request('https://example.com/api/items', 'xhr', 'POST')), rules[2]);
+  assert.strictEqual(findRule(compiled, request('https://example.com/api/items', 'xhr', 'GET')), rules[3]);
+});
+
+test('globs match the whole URL', () => {
+  const compiled = compileRules([{ match: { url: 'https://*.example.com/*.js' }, action: 'abort' }]);
+  assert.ok(findRule(compiled, request('https://cdn.example.com/a/b.js')));
+  assert.ok(!findRule(compiled, request('https://cdn.example.com/a/b.json')));
+  assert.ok(!findRule(compiled, request('http://cdn.example.com/a/b.js')));
+  assert.ok(!findRule(compiled, request('https://example.com/a.js')));
+});
+
+test('patterns are not RegExp', () => {
+  const compiled = compileRules([{ match: { url: 'https://example.com/a.b?c' }, action: 'abort' }]);
+  assert.ok(findRule(compiled, request('https://example.com/a.b?c')));
+  assert.ok(!findRule(compiled, request('https://example.com/aXb')));
+  assert.throws(() => compileRules([{ match: { url: '/\\.gif$/' }, action: 'abort' }]), { statusCode: 400 });
+  assert.throws(() => compileRules([{ match: { url: '*'.repeat(1001) }, action: 'abort' }]), { statusCode: 400 });
+});
+
+test('malformed rules are rejected', () => {
+  for (const rules of [{}, [null], [{ action: 'drop' }], [{ action: 'fulfill' }], [{ action: 'continue', headers: 'x' }]]) {
+    assert.throws(() => compileRules(rules), { statusCode: 400 });
+  }
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runScript } = require('../util/script-sandbox');
+
+const options = { timeout: 10000, cpuTimeout: 5000, memoryLimit: 64, permissions: [] };
+
+// the scripts return `process` of the host if they get an exception of its
+// realm, whose constructor leads to the host's Function, and fail otherwise
+
+test('replaced globals of the script do not reach the bridge', async () => {
+  const script = `async function (page) {
+    globalThis.String = (x) => x;
+    try {
+      await sleep(Symbol());
+    } catch (e) {
+      return e.constructor.constructor('return process')().pid;
+    }
+    throw new Error('No exception');
+  }`;
+  await assert.rejects(runScript(script, {}, options).promise);
+});
+
+test('bridge takes strings only', async () => {
+  const script = `async function (page) {
+    JSON.stringify = () => ({ [Symbol.toPrimitive]: () => ({}) });
+    try {
+      await page.title();
+    } catch (e) {
+      return e.constructor.constructor('return process')().pid;
+    }
+    throw new Error('No exception');
+  }`;
+  await assert.rejects(runScript(script, {}, options).promise);
+});
+
+test('scripts over the limit are rejected', async () => {
+  const script = `async function (page) {
+    await sleep(1000);
+    return 1;
+  }`;
+  const running = runScript(script, {}, { ...options, maxScripts: 1 });
+  assert.throws(() => runScript(script, {}, { ...options, maxScripts: 1 }), { code: 'BUSY' });
+  assert.strictEqual(await running.promise, 1);
+  // the slot is free again
+  assert.strictEqual(await runScript(script, {}, { ...options, maxScripts: 1 }).promise, 1);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { parseRange, rangeTransform } = require('../util/stream-util');
+
+test('single ranges are parsed', () => {
+  assert.deepStrictEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+  assert.deepStrictEqual(parseRange('bytes=90-', 100), { start: 90, end: 99 });
+  assert.deepStrictEqual(parseRange('bytes=90-200', 100), { start: 90, end: 99 });
+});
+
+test('suffix ranges take the last bytes', () => {
+  assert.deepStrictEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+  assert.deepStrictEqual(parseRange('bytes=-200', 100), { start: 0, end: 99 });
+  assert.strictEqual(parseRange('bytes=-0', 100), false);
+});
+
+test('unsatisfiable ranges are false', () => {
+  assert.strictEqual(parseRange('bytes=100-', 100), false);
+  assert.strictEqual(parseRange('bytes=20-10', 100), false);
+  assert.strictEqual(parseRange('bytes=0-', 0), false);
+});
+
+test('absent, malformed and multiple ranges are ignored', () => {
+  assert.strictEqual(parseRange(undefined, 100), null);
+  assert.strictEqual(parseRange('bytes=-', 100), null);
+  assert.strictEqual(parseRange('items=0-9', 100), null);
+  assert.strictEqual(parseRange('bytes=0-9,20-29', 100), null);
+});
+
+test('range is cut out of the chunks', async () => {
+  const chunks = [];
+  const stream = Readable.from([Buffer.from('0123'), Buffer.from('4567'), Buffer.from('89')])
+      .pipe(rangeTransform(3, 6));
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  assert.strictEqual(Buffer.concat(chunks).toString(), '3456');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const waitQueue = require('../util/wait-queue');
+
+const options = { maxLength: 3, maxWait: 1000, retryAfter: 5 };
+
+test('waiters go in order, the first ones first', async () => {
+  const queue = waitQueue(options);
+  const order = [];
+  const waits = ['a', 'b'].map((name) => queue.wait().then(() => order.push(name)));
+  waits.push(queue.wait({ first: true }).then(() => order.push('c')));
+  assert.strictEqual(queue.length, 3);
+  queue.next();
+  queue.next();
+  queue.next();
+  await Promise.all(waits);
+  assert.deepStrictEqual(order, ['c', 'a', 'b']);
+  assert.strictEqual(queue.length, 0);
+});
+
+test('positions are reported as they change', async () => {
+  const queue = waitQueue(options);
+  const positions = [];
+  const first = queue.wait();
+  const second = queue.wait({ onPosition: (position) => positions.push(position) });
+  queue.next();
+  queue.next();
+  await Promise.all([first, second]);
+  assert.deepStrictEqual(positions, [2, 1]);
+});
+
+test('full queue is unavailable, unless waiting first', async () => {
+  const queue = waitQueue(options);
+  const waits = [queue.wait(), queue.wait(), queue.wait()];
+  await assert.rejects(queue.wait(), { statusCode: 503, retryAfter: 5 });
+  waits.push(queue.wait({ first: true }));
+  assert.strictEqual(queue.length, 4);
+  waits.forEach(() => queue.next());
+  await Promise.all(waits);
+});
+
+test('waiting stops at the deadline', async () => {
+  const queue = waitQueue({ ...options, maxWait: 50 });
+  const startedAt = Date.now();
+  await assert.rejects(queue.wait(), { statusCode: 503 });
+  assert.ok(Date.now() - startedAt >= 45);
+  await assert.rejects(queue.wait({ deadline: Date.now() - 10 }), { statusCode: 503 });
+  assert.strictEqual(queue.length, 0);
+});
+
+test('aborted waiters leave the queue', async () => {
+  const queue = waitQueue(options);
+  const controller = new AbortController();
+  const aborted = queue.wait({ signal: controller.signal });
+  const positions = [];
+  const other = queue.wait({ onPosition: (position) => positions.push(position) });
+  controller.abort();
+  await assert.rejects(aborted, /cancelled/);
+  assert.strictEqual(queue.length, 1);
+  assert.deepStrictEqual(positions, [2, 1]);
+  await assert.rejects(queue.wait({ signal: controller.signal }), /cancelled/);
+  assert.strictEqual(queue.length, 1);
+  queue.next();
+  await other;
+});
@@ -0,0 +1,160 @@
+// pool of browser endpoints, i.e. headless chrome instances which
+// we connect to via devtools protocol, each can host a number of sessions
+
+const dns = require('dns');
+const puppeteer = require('puppeteer-core');
+const { logger } = require('./infra-util');
+
+/**
+ * Resolve host of the browser URL into IPv4 address, since chrome
+ * doesn't accept devtools connections with a domain name in Host header
+ * @param url {string}
+ * @return {Promise<string>}
+ */
+async function ipifyBrowserUrl(url) {
+  const urlObj = new URL(url);
+  const { address } = await dns.promises.lookup(urlObj.hostname, {
+    family: 4,
+    hints: dns.ADDRCONFIG,
+  });
+
+  urlObj.hostname = address;
+  return urlObj.toString();
+}
+
+/**
+ * Check if the browser is alive, by requesting its version info
+ * @param url {string}
+ * @param timeout {number}
+ * @return {Promise<boolean>}
+ */
+async function probeBrowserUrl(url, timeout) {
+  try {
+    const response = await fetch(new URL('/json/version', await ipifyBrowserUrl(url)), {
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (response.status !== 200) {
+      return false;
+    }
+    const version = await response.json();
+    return !!version.webSocketDebuggerUrl;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Browser pool
+ * @param options {{
+ *   browsers: {browserURL: string, capacity: number}[],
+ *   healthCheckInterval: number,
+ *   healthCheckTimeout: number,
+ *   onDisconnect: function(object),
+ *   onHealthy: function(object)
+ * }}
+ */
+function browserPool({
+  browsers,
+  healthCheckInterval,
+  healthCheckTimeout,
+  onDisconnect,
+  onHealthy
+}) {
+  const endpoints = browsers.map(({ browserURL, capacity }) => ({
+    browserURL,
+    capacity,
+    healthy: true,
+    sessions: 0,
+    // promise of the connected puppeteer's Browser, shared by the sessions
+    browser: null,
+  }));
+
+  return {
+    endpoints,
+    capacity: endpoints.reduce((sum, endpoint) => sum + endpoint.capacity, 0),
+
+    /**
+     * Take a slot in the least loaded healthy endpoint
+     * @return {object|undefined} endpoint, or undefined if there is no free slot
+     */
+    acquire: function () {
+      let endpoint;
+      for (const e of this.endpoints) {
+        if (e.healthy && e.sessions < e.capacity &&
+            (!endpoint || e.sessions / e.capacity < endpoint.sessions / endpoint.capacity)) {
+          endpoint = e;
+        }
+      }
+      if (endpoint) {
+        endpoint.sessions++;
+      }
+      return endpoint;
+    },
+
+    /**
+     * Give the slot taken by {@link acquire} back
+     * @param endpoint {object}
+     */
+    release: function (endpoint) {
+      if (endpoint.sessions > 0) {
+        endpoint.sessions--;
+      }
+    },
+
+    /**
+     * Get browser of the endpoint, connect if not connected yet
+     * @param endpoint {object}
+     * @return {Promise<Browser>}
+     */
+    connect: function (endpoint) {
+      if (!endpoint.browser) {
+        endpoint.browser = (async () => {
+          const browser = await puppeteer.connect({
+            browserURL: await ipifyBrowserUrl(endpoint.browserURL)
+          });
+          browser.once('disconnected', () => {
+            logger.warn('Browser %s disconnected', endpoint.browserURL);
+            endpoint.browser = null;
+            endpoint.healthy = false;
+            if (onDisconnect) {
+              onDisconnect(endpoint);
+            }
+          });
+          return browser;
+        })();
+        // let the next call try to connect again
+        endpoint.browser.catch(() => {
+          endpoint.browser = null;
+        });
+      }
+      return endpoint.browser;
+    },
+
+    /**
+     * Probe all endpoints and update their health status
+     * @return {Promise<void>}
+     */
+    checkHealth: async function () {
+      await Promise.all(this.endpoints.map(async (endpoint) => {
+        const healthy = await probeBrowserUrl(endpoint.browserURL, healthCheckTimeout);
+        if (healthy !== endpoint.healthy) {
+          logger.info('Browser %s became %s', endpoint.browserURL, healthy ? 'healthy' : 'unhealthy');
+          endpoint.healthy = healthy;
+          if (healthy && onHealthy) {
+            onHealthy(endpoint);
+          }
+        }
+      }));
+    },
+
+    /**
+     * Start periodic health checks
+     */
+    start: function () {
+      this.checkHealth();
+      setInterval(() => this.checkHealth(), healthCheckInterval);
+    },
+  };
+}
+
+module.exports = browserPool;
@@ -0,0 +1,158 @@
+// authentication and rate limiting of the proxy clients.
+// client is authenticated either by its API key, or by a token signed
+// with the API key, so that the key itself is not exposed to the browser.
+// token format is <client id>.<expiration timestamp>.<HMAC-SHA256 signature>
+
+const crypto = require('crypto');
+const { httpError } = require('./infra-util');
+
+// name of the cookie which carries the token for requests
+// that can't set headers, like those coming from the proxied page
+const TOKEN_COOKIE = 'proxy-token';
+
+/**
+ * Sign the payload with the key
+ * @param key {string}
+ * @param payload {string}
+ * @return {string} base64url-encoded signature
+ */
+function sign(key, payload) {
+  return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+/**
+ * Compare strings in constant time, by their digests, which are
+ * of the same length whatever the strings are
+ * @param a {string}
+ * @param b {string}
+ * @return {boolean}
+ */
+function safeEqual(a, b) {
+  const digest = (text) => crypto.createHash('sha256').update(text).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Get cookie from the request
+ * @param request {IncomingMessage}
+ * @param name {string}
+ * @return {string|undefined}
+ */
+function getCookie(request, name) {
+  for (const pair of (request.headers.cookie || '').split(';')) {
+    const [key, ...value] = pair.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+}
+
+/**
+ * Client authentication
+ * @param options {{
+ *   enabled: boolean,
+ *   clients: {
+ *     id: string,
+ *     key: string,
+ *     maxSessions: number,
+ *     rateLimit: {requests: number, interval: number},
+ *     permissions: string[]
+ *   }[]
+ * }} `permissions` of websocket commands are those of config if omitted,
+ * see util/command-registry.js
+ */
+function clientAuth({ enabled, clients }) {
+  // request counters of the clients in the current rate limit window
+  const windows = {};
+
+  return {
+    enabled,
+
+    /**
+     * Find the client by the credentials of the request, which are looked up
+     * in X-Api-Key header, "Authorization: Bearer <token>" header,
+     * `token` query arg or the token cookie, in this order
+     * @param request {IncomingMessage}
+     * @return {object|null} client, or null if authentication is disabled
+     */
+    authenticate: function (request) {
+      if (!this.enabled) {
+        return null;
+      }
+
+      const apiKey = request.headers['x-api-key'];
+      if (apiKey) {
+        const client = clients.find((c) => safeEqual(c.key, apiKey));
+        if (!client) {
+          throw httpError(401, 'Invalid API key.');
+        }
+        return client;
+      }
+
+      const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+      const token = match ? match[1] :
+          new URL(request.url, 'http://localhost').searchParams.get('token') ||
+          getCookie(request, TOKEN_COOKIE);
+      if (!token) {
+        throw httpError(401, 'Authentication required.');
+      }
+      const [id, expires, signature] = token.split('.');
+      const client = clients.find((c) => c.id === id);
+      if (!client || !signature || !safeEqual(sign(client.key, `${id}.${expires}`), signature)) {
+        throw httpError(401, 'Invalid token.');
+      }
+      if (!(parseInt(expires) > Date.now())) {
+        throw httpError(401, 'Token expired.');
+      }
+      return client;
+    },
+
+    /**
+     * Count a request of the client, and throw if the rate limit is exceeded
+     * @param client {object|null}
+     */
+    throttle: function (client) {
+      if (!client || !client.rateLimit) {
+        return;
+      }
+      const { requests, interval } = client.rateLimit;
+      const now = Date.now();
+      let window = windows[client.id];
+      if (!window || now - window.start >= interval) {
+        window = windows[client.id] = { start: now, count: 0 };
+      }
+      if (++window.count > requests) {
+        const error = httpError(429, 'Rate limit exceeded.');
+        error.retryAfter = Math.ceil((window.start + interval - now) / 1000);
+        throw error;
+      }
+    },
+
+    /**
+     * Make a signed token for the client
+     * @param client {object}
+     * @param expires {number} expiration timestamp
+     * @return {string}
+     */
+    signToken: function (client, expires) {
+      return `${client.id}.${expires}.${sign(client.key, `${client.id}.${expires}`)}`;
+    },
+
+    /**
+     * Make Set-Cookie header value with the token of the client,
+     * visible to the requests under the given path
+     * @param client {object}
+     * @param path {string}
+     * @param maxAge {number} milliseconds
+     * @return {string}
+     */
+    tokenCookie: function (client, path, maxAge) {
+      const token = this.signToken(client, Date.now() + maxAge);
+      return `${TOKEN_COOKIE}=${encodeURIComponent(token)}; Path=${path}; ` +
+          `Max-Age=${Math.floor(maxAge / 1000)}; HttpOnly; SameSite=Strict`;
+    },
+  };
+}
+
+module.exports = clientAuth;
+module.exports.TOKEN_COOKIE = TOKEN_COOKIE;
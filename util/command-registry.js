@@ -0,0 +1,244 @@
+// registry of the methods which clients can call on the page and the browser,
+// either via websocket {"method": ..., "target": ..., "payload": [...]}
+// or from crawler scripts (see util/script-sandbox.js).
+//
+// every command has a permission it requires and a schema of its arguments.
+// argument type is one of "string", "number", "boolean", "object", "array",
+// "function", "any", or several of them separated by "|", with optional
+// suffix "?" for optional argument or "..." for the rest of arguments.
+// functions can only come from the scripts, websocket clients pass strings.
+
+// permissions of the commands, also "script" permits crawler scripts
+const PERMISSIONS = ['read', 'navigate', 'input', 'evaluate', 'emulate', 'script'];
+
+// error codes sent to the clients
+const ERROR_CODES = {
+  BAD_MESSAGE: 'BAD_MESSAGE',
+  UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+  INVALID_TARGET: 'INVALID_TARGET',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  INVALID_ARGUMENTS: 'INVALID_ARGUMENTS',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UNAVAILABLE: 'UNAVAILABLE',
+  BUSY: 'BUSY',
+  TIMEOUT: 'TIMEOUT',
+  FAILED: 'FAILED',
+};
+
+// error codes of errors made by httpError, see util/infra-util.js
+const STATUS_ERROR_CODES = {
+  400: ERROR_CODES.BAD_MESSAGE,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  429: ERROR_CODES.RATE_LIMITED,
+  503: ERROR_CODES.UNAVAILABLE,
+};
+
+const COMMANDS = {
+  page: {
+    'url': { permission: 'read', args: [] },
+    'title': { permission: 'read', args: [] },
+    'content': { permission: 'read', args: [] },
+    'cookies': { permission: 'read', args: ['string...'] },
+    'viewport': { permission: 'read', args: [] },
+    '$': { permission: 'read', args: ['string'] },
+    '$$': { permission: 'read', args: ['string'] },
+    'waitForSelector': { permission: 'read', args: ['string', 'object?'] },
+    'waitForNetworkIdle': { permission: 'read', args: ['object?'] },
+
+    'goto': { permission: 'navigate', args: ['string', 'object?'] },
+    'reload': { permission: 'navigate', args: ['object?'] },
+    'goBack': { permission: 'navigate', args: ['object?'] },
+    'goForward': { permission: 'navigate', args: ['object?'] },
+    'waitForNavigation': { permission: 'navigate', args: ['object?'] },
+    'setCookie': { permission: 'navigate', args: ['object...'] },
+    'deleteCookie': { permission: 'navigate', args: ['object...'] },
+
+    'click': { permission: 'input', args: ['string', 'object?'] },
+    'type': { permission: 'input', args: ['string', 'string', 'object?'] },
+    'focus': { permission: 'input', args: ['string'] },
+    'hover': { permission: 'input', args: ['string'] },
+    'tap': { permission: 'input', args: ['string'] },
+    'select': { permission: 'input', args: ['string', 'string...'] },
+    'keyboard.down': { permission: 'input', args: ['string', 'object?'] },
+    'keyboard.up': { permission: 'input', args: ['string'] },
+    'keyboard.press': { permission: 'input', args: ['string', 'object?'] },
+    'keyboard.type': { permission: 'input', args: ['string', 'object?'] },
+    'keyboard.sendCharacter': { permission: 'input', args: ['string'] },
+    'mouse.move': { permission: 'input', args: ['number', 'number', 'object?'] },
+    'mouse.click': { permission: 'input', args: ['number', 'number', 'object?'] },
+    'mouse.down': { permission: 'input', args: ['object?'] },
+    'mouse.up': { permission: 'input', args: ['object?'] },
+    'mouse.wheel': { permission: 'input', args: ['object?'] },
+
+    'evaluate': { permission: 'evaluate', args: ['function|string', 'any...'] },
+    'evaluateHandle': { permission: 'evaluate', args: ['function|string', 'any...'] },
+    '$eval': { permission: 'evaluate', args: ['string', 'function|string', 'any...'] },
+    '$$eval': { permission: 'evaluate', args: ['string', 'function|string', 'any...'] },
+    'waitForFunction': { permission: 'evaluate', args: ['function|string', 'object?', 'any...'] },
+
+    'setViewport': { permission: 'emulate', args: ['object'] },
+    'setUserAgent': { permission: 'emulate', args: ['string', 'object?'] },
+    'setExtraHTTPHeaders': { permission: 'emulate', args: ['object'] },
+    'setJavaScriptEnabled': { permission: 'emulate', args: ['boolean'] },
+    'setGeolocation': { permission: 'emulate', args: ['object'] },
+    'emulateMediaType': { permission: 'emulate', args: ['string?'] },
+    'emulateTimezone': { permission: 'emulate', args: ['string?'] },
+  },
+
+  browser: {
+    'version': { permission: 'read', args: [] },
+    'userAgent': { permission: 'read', args: [] },
+  },
+
+  // JSHandle and ElementHandle, only the scripts get them
+  handle: {
+    'jsonValue': { permission: 'read', args: [] },
+    'getProperty': { permission: 'read', args: ['string'] },
+    'dispose': { permission: 'read', args: [] },
+    '$': { permission: 'read', args: ['string'] },
+    '$$': { permission: 'read', args: ['string'] },
+    'waitForSelector': { permission: 'read', args: ['string', 'object?'] },
+    'boundingBox': { permission: 'read', args: [] },
+    'isVisible': { permission: 'read', args: [] },
+    'isHidden': { permission: 'read', args: [] },
+
+    'click': { permission: 'input', args: ['object?'] },
+    'type': { permission: 'input', args: ['string', 'object?'] },
+    'press': { permission: 'input', args: ['string', 'object?'] },
+    'focus': { permission: 'input', args: [] },
+    'hover': { permission: 'input', args: [] },
+    'tap': { permission: 'input', args: [] },
+    'select': { permission: 'input', args: ['string...'] },
+    'scrollIntoView': { permission: 'input', args: [] },
+
+    'evaluate': { permission: 'evaluate', args: ['function|string', 'any...'] },
+    'evaluateHandle': { permission: 'evaluate', args: ['function|string', 'any...'] },
+    '$eval': { permission: 'evaluate', args: ['string', 'function|string', 'any...'] },
+    '$$eval': { permission: 'evaluate', args: ['string', 'function|string', 'any...'] },
+  },
+};
+
+/**
+ * Create an error which is reported to the client with given code
+ * @param code {string} one of ERROR_CODES
+ * @param message {string}
+ * @return {Error}
+ */
+function commandError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get code of any error to report to the client
+ * @param error {Error}
+ * @return {string} one of ERROR_CODES
+ */
+function errorCode(error) {
+  if (Object.values(ERROR_CODES).includes(error.code)) {
+    return error.code;
+  }
+  if (error.name === 'TimeoutError') {
+    return ERROR_CODES.TIMEOUT;
+  }
+  return STATUS_ERROR_CODES[error.statusCode] || ERROR_CODES.FAILED;
+}
+
+/**
+ * Get type of the value in terms of argument schema
+ * @param value {*}
+ * @return {string}
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'object' : typeof value;
+}
+
+/**
+ * Validate the arguments against the schema
+ * @param name {string} command name, for error messages
+ * @param args {*}
+ * @param schema {string[]}
+ */
+function validateArgs(name, args, schema) {
+  if (!Array.isArray(args)) {
+    throw commandError(ERROR_CODES.INVALID_ARGUMENTS, `Arguments of ${name} must be an array`);
+  }
+  let i = 0;
+  for (const spec of schema) {
+    const rest = spec.endsWith('...');
+    const optional = rest || spec.endsWith('?');
+    const types = spec.replace(/(\?|\.\.\.)$/, '').split('|');
+    const count = rest ? args.length - i : 1;
+    for (let j = 0; j < count; j++, i++) {
+      if (i >= args.length || args[i] === undefined) {
+        if (optional) {
+          break;
+        }
+        throw commandError(ERROR_CODES.INVALID_ARGUMENTS, `Argument ${i + 1} of ${name} is required`);
+      }
+      if (!types.includes('any') && !types.includes(typeOf(args[i]))) {
+        throw commandError(ERROR_CODES.INVALID_ARGUMENTS,
+            `Argument ${i + 1} of ${name} must be ${types.join(' or ')}, got ${typeOf(args[i])}`);
+      }
+    }
+  }
+  if (i < args.length) {
+    throw commandError(ERROR_CODES.INVALID_ARGUMENTS, `Too many arguments of ${name}, expected ${schema.length}`);
+  }
+}
+
+/**
+ * Check that the command is allowed and its arguments are valid
+ * @param target {string} "page", "browser" or "handle"
+ * @param method {string} method name, e.g. "goto" or "keyboard.press"
+ * @param args {Array}
+ * @param permissions {string[]} permissions of the client
+ */
+function checkCommand(target, method, args, permissions) {
+  const commands = COMMANDS[target];
+  if (!commands) {
+    throw commandError(ERROR_CODES.INVALID_TARGET, `Invalid method target: ${target}`);
+  }
+  const command = typeof method == 'string' && Object.hasOwn(commands, method) && commands[method];
+  if (!command) {
+    throw commandError(ERROR_CODES.METHOD_NOT_ALLOWED, `Method is not allowed: ${method}`);
+  }
+  if (!permissions.includes(command.permission)) {
+    throw commandError(ERROR_CODES.FORBIDDEN, `Permission "${command.permission}" is required for ${method}`);
+  }
+  validateArgs(method, args, command.args);
+}
+
+/**
+ * Call the checked command on the object
+ * @param object {Page|Browser|JSHandle}
+ * @param method {string}
+ * @param args {Array}
+ * @return {Promise<*>}
+ */
+async function callCommand(object, method, args) {
+  const keys = method.split('.');
+  for (const key of keys.slice(0, -1)) {
+    object = object[key];
+  }
+  return object[keys[keys.length - 1]](...args);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ERROR_CODES,
+  COMMANDS,
+  commandError,
+  errorCode,
+  checkCommand,
+  callCommand,
+};
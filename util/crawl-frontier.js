@@ -0,0 +1,229 @@
+// frontier of a multi-page crawl, i.e. URLs to visit: seeds and the links
+// found on the visited pages, filtered by depth, domain and patterns,
+// de-duplicated, handed out with per-domain politeness delay, and retried
+// with exponential backoff when their visits fail
+
+const { httpError } = require('./infra-util');
+const { globMatcher } = require('./glob');
+
+/**
+ * Normalize crawl options, applying defaults and limits
+ * @param crawl {object} options sent by the client, see {@link crawlFrontier}
+ * @param config {{maxConcurrency: number, maxPages: number, delay: number,
+ * retries: number, retryDelay: number}} defaults and limits
+ * @return {object}
+ */
+function crawlOptions(crawl, config) {
+  if (!crawl || typeof crawl != 'object') {
+    throw httpError(400, 'Crawl must be an object');
+  }
+  const { seeds, script, follow = {} } = crawl;
+  if (!Array.isArray(seeds) || !seeds.length || !seeds.every((url) => /^https?:\/\//.test(url))) {
+    throw httpError(400, 'Crawl seeds must be a non-empty array of HTTP(S) URLs');
+  }
+  if (script !== undefined && typeof script != 'string') {
+    throw httpError(400, 'Crawl script must be a string');
+  }
+  const include = (follow.include || []).map(String);
+  const exclude = (follow.exclude || []).map(String);
+  try {
+    [...include, ...exclude].forEach(globMatcher);
+  } catch (e) {
+    throw httpError(400, `Invalid crawl pattern: ${e.message}`);
+  }
+  const number = (value, defaultValue, max = Infinity) =>
+    Math.min(Number.isFinite(value) && value >= 0 ? value : defaultValue, max);
+  return {
+    seeds,
+    script,
+    follow: {
+      depth: number(follow.depth, 0),
+      sameDomain: follow.sameDomain !== false,
+      include,
+      exclude,
+    },
+    maxPages: number(crawl.maxPages, config.maxPages, config.maxPages),
+    concurrency: Math.max(number(crawl.concurrency, 1, config.maxConcurrency), 1),
+    delay: number(crawl.delay, config.delay),
+    retries: number(crawl.retries, config.retries),
+    retryDelay: number(crawl.retryDelay, config.retryDelay),
+  };
+}
+
+/**
+ * Normalize URL for de-duplication
+ * @param url {string}
+ * @return {string|null} null if it's not HTTP(S) URL
+ */
+function normalizeUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    return null;
+  }
+  urlObj.hash = '';
+  return urlObj.href;
+}
+
+/**
+ * Crawl frontier
+ * @param options {{
+ *   seeds: string[],
+ *   follow: {depth: number, sameDomain: boolean, include: string[], exclude: string[]},
+ *   maxPages: number,
+ *   delay: number,
+ *   retries: number,
+ *   retryDelay: number
+ * }} as made by {@link crawlOptions}; links are followed up to `depth`
+ * from the seeds, only to the domains of the seeds if `sameDomain`, and only
+ * if they match any of `include` patterns (globs, see util/glob.js, if any)
+ * and none of `exclude` ones; `delay` is between visits of the same domain, in ms; `retries`
+ * of a failed visit are made after `retryDelay`, doubled every time
+ */
+function crawlFrontier({ seeds, follow, maxPages, delay, retries, retryDelay }) {
+  const include = follow.include.map(globMatcher);
+  const exclude = follow.exclude.map(globMatcher);
+  const domains = new Set(seeds.map((url) => new URL(url).hostname));
+  const seen = new Set();
+  // items waiting to be visited, and time when each domain may be visited next
+  const queue = [];
+  const domainReadyAt = {};
+  let inProgress = 0;
+  let stopped = false;
+  // wakes up those waiting for the next item when something changes
+  let changed = null;
+  let notify = () => {};
+
+  function wake() {
+    notify();
+    changed = new Promise((resolve) => {
+      notify = resolve;
+    });
+  }
+
+  wake();
+
+  function itemReadyAt(item) {
+    return Math.max(item.readyAt, domainReadyAt[new URL(item.url).hostname] || 0);
+  }
+
+  const frontier = {
+    stats: { visited: 0, failed: 0, skipped: 0 },
+
+    get queued() {
+      return queue.length;
+    },
+
+    /**
+     * Add URL found at given depth, unless it's filtered out or seen
+     * @param url {string}
+     * @param depth {number}
+     * @return {boolean} whether it's added
+     */
+    add: function (url, depth) {
+      const normalized = normalizeUrl(url);
+      if (!normalized || seen.has(normalized)) {
+        return false;
+      }
+      if (depth > 0) {
+        const hostname = new URL(normalized).hostname;
+        if (depth > follow.depth ||
+            (follow.sameDomain && !domains.has(hostname)) ||
+            (include.length && !include.some((matches) => matches(normalized))) ||
+            exclude.some((matches) => matches(normalized))) {
+          return false;
+        }
+      }
+      if (seen.size >= maxPages) {
+        this.stats.skipped++;
+        return false;
+      }
+      seen.add(normalized);
+      queue.push({ url: normalized, depth, attempt: 0, readyAt: 0 });
+      wake();
+      return true;
+    },
+
+    /**
+     * Wait for the next item to visit, respecting the politeness delay
+     * @return {Promise<{url: string, depth: number, attempt: number}|null>}
+     * null if the crawl is over
+     */
+    next: async function () {
+      for (;;) {
+        if (stopped || (!queue.length && !inProgress)) {
+          return null;
+        }
+        const now = Date.now();
+        let wait = Infinity;
+        for (let i = 0; i < queue.length; i++) {
+          const readyAt = itemReadyAt(queue[i]);
+          if (readyAt <= now) {
+            const [item] = queue.splice(i, 1);
+            domainReadyAt[new URL(item.url).hostname] = now + delay;
+            inProgress++;
+            return item;
+          }
+          wait = Math.min(wait, readyAt - now);
+        }
+        // wait for the earliest domain to be ready, or for new items
+        let timer;
+        await Promise.race([
+          changed,
+          wait < Infinity && new Promise((resolve) => {
+            timer = setTimeout(resolve, wait);
+          }),
+        ].filter((p) => p));
+        clearTimeout(timer);
+      }
+    },
+
+    /**
+     * Report the item visited
+     * @param item {object}
+     */
+    done: function (item) {
+      inProgress--;
+      this.stats.visited++;
+      wake();
+    },
+
+    /**
+     * Report visit of the item failed, it's retried if attempts are left
+     * @param item {object}
+     * @return {boolean} whether it will be retried
+     */
+    fail: function (item) {
+      inProgress--;
+      const retry = item.attempt < retries;
+      if (retry) {
+        queue.push({ ...item, attempt: item.attempt + 1, readyAt: Date.now() + retryDelay * 2 ** item.attempt });
+      } else {
+        this.stats.failed++;
+      }
+      wake();
+      return retry;
+    },
+
+    /**
+     * Stop handing out items
+     */
+    stop: function () {
+      stopped = true;
+      wake();
+    },
+  };
+
+  seeds.forEach((url) => frontier.add(url, 0));
+  return frontier;
+}
+
+module.exports = {
+  crawlOptions,
+  crawlFrontier,
+  normalizeUrl,
+};
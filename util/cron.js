@@ -0,0 +1,125 @@
+// cron expressions, "minute hour day-of-month month day-of-week",
+// each field is "*", a number, a range "a-b", or a list of them separated
+// by ",", optionally with a step "/n"; day of week is 0-7, 0 and 7 are Sunday.
+// as in cron, if both days of month and week are restricted, either matches
+
+// ranges of the fields
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// don't look for the next time further than that
+const MAX_YEARS = 5;
+
+/**
+ * Parse field of the expression to the set of allowed values
+ * @param text {string}
+ * @param field {{name: string, min: number, max: number}}
+ * @return {Set<number>}
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name}: ${part}`);
+    }
+    let from = min, to = max;
+    if (match[2] !== undefined) {
+      from = parseInt(match[2]);
+      // "5/10" means "5-max/10"
+      to = match[3] !== undefined ? parseInt(match[3]) : match[4] !== undefined ? max : from;
+    }
+    const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name}: ${part}`);
+    }
+    for (let i = from; i <= to; i += step) {
+      values.add(i);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse cron expression
+ * @param expression {string}
+ * @return {{
+ *   minutes: Set<number>,
+ *   hours: Set<number>,
+ *   days: Set<number>,
+ *   months: Set<number>,
+ *   weekdays: Set<number>,
+ *   anyDay: boolean,
+ *   anyWeekday: boolean
+ * }}
+ */
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: ${expression}`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((text, i) => parseField(text, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*',
+  };
+}
+
+/**
+ * Get the next time matching the cron expression, in local time
+ * @param expression {string}
+ * @param from {number} timestamp, the result is strictly after it
+ * @return {number} timestamp
+ */
+function nextCronTime(expression, from = Date.now()) {
+  const cron = parseCron(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(from).getFullYear() + MAX_YEARS;
+
+  function dayMatches() {
+    const day = cron.days.has(date.getDate());
+    const weekday = cron.weekdays.has(date.getDay());
+    if (cron.anyDay || cron.anyWeekday) {
+      return day && weekday;
+    }
+    return day || weekday;
+  }
+
+  // skip the whole non-matching months, days and hours
+  while (date.getFullYear() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches()) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  throw new Error(`Cron expression never matches: ${expression}`);
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+};
@@ -0,0 +1,306 @@
+// live mirroring of the controlled page's DOM to the client's iframe.
+//
+// `mirrorRecorder` is executed in the controlled page, it sends snapshot of
+// the document and then its mutations as patches, via a function exposed
+// by puppeteer. `mirrorPlayer` is executed in the client's iframe, it gets
+// them from the websocket and applies to its own document. both are
+// serialized, so they must not refer to anything outside of themselves.
+//
+// node format: {id, type: 1, tag, ns, attrs, children} for elements,
+// {id, type: 3|8, text} for text and comments.
+// patch format:
+// {op: "insert", parent, before, node}  -- node inserted before `before` id,
+// or appended if it's null
+// {op: "remove", id}  -- node removed
+// {op: "attr", id, name, value}  -- attribute set, or removed if value is null
+// {op: "text", id, text}  -- text changed
+// {op: "value", id, value}  -- value of the form field changed
+// {op: "scroll", x, y}  -- window scrolled
+
+/**
+ * Mirror recorder
+ * @param rewriter {object} page rewriter, see util/page-rewriter.js
+ * @param binding {string} name of the exposed function to send batches to,
+ * batch is either {snapshot: node} or {patches: [...]}
+ */
+function mirrorRecorder(rewriter, binding) {
+  if (window[binding + 'Recorder']) {
+    return;
+  }
+
+  const ids = new WeakMap();
+  let lastId = 0;
+
+  function nodeId(node) {
+    if (!ids.has(node)) {
+      ids.set(node, ++lastId);
+    }
+    return ids.get(node);
+  }
+
+  function serialize(node) {
+    const id = nodeId(node);
+    switch (node.nodeType) {
+      case 1: {
+        const tag = node.tagName.toLowerCase();
+        const attrs = {};
+        const children = [];
+        // scripts are mirrored empty, they are already executed here,
+        // and so are event handlers
+        if (tag !== 'script') {
+          for (const { name, value } of node.attributes) {
+            if (!name.startsWith('on')) {
+              attrs[name] = rewriter.attribute(node, name, value);
+            }
+          }
+          node.childNodes.forEach((child) => {
+            const data = serialize(child);
+            if (data) {
+              children.push(data);
+            }
+          });
+        }
+        return { id, type: 1, tag, ns: node.namespaceURI, attrs, children };
+      }
+
+      case 3:
+        return { id, type: 3, text: text(node) };
+
+      case 8:
+        return { id, type: 8, text: node.data };
+
+      default:
+        return null;
+    }
+  }
+
+  function text(node) {
+    const parent = node.parentNode;
+    return parent && parent.nodeType === 1 && parent.tagName.toLowerCase() === 'style' ?
+        rewriter.css(node.data) : node.data;
+  }
+
+  function send(batch) {
+    window[binding](batch);
+  }
+
+  function snapshot() {
+    send({ snapshot: serialize(document.documentElement) });
+  }
+
+  let patches = [];
+  let scheduled = false;
+
+  function schedule(patch) {
+    // patches made by events are sent together with the next mutations
+    patches.push(patch);
+    if (!scheduled) {
+      scheduled = true;
+      setTimeout(flush, 0);
+    }
+  }
+
+  function flush() {
+    scheduled = false;
+    if (patches.length) {
+      send({ patches });
+      patches = [];
+    }
+  }
+
+  function start() {
+    snapshot();
+    new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        const target = mutation.target;
+        if (mutation.type === 'attributes') {
+          const value = target.getAttribute(mutation.attributeName);
+          if (!mutation.attributeName.startsWith('on')) {
+            patches.push({
+              op: 'attr',
+              id: nodeId(target),
+              name: mutation.attributeName,
+              value: value == null ? null : rewriter.attribute(target, mutation.attributeName, value),
+            });
+          }
+        } else if (mutation.type === 'characterData') {
+          patches.push({ op: 'text', id: nodeId(target), text: text(target) });
+        } else {
+          mutation.removedNodes.forEach((node) => {
+            patches.push({ op: 'remove', id: nodeId(node) });
+          });
+          mutation.addedNodes.forEach((node) => {
+            // node could be moved or removed since, then there is
+            // another record about it
+            const data = node.parentNode === target && serialize(node);
+            if (data) {
+              patches.push({
+                op: 'insert',
+                parent: nodeId(target),
+                before: node.nextSibling ? nodeId(node.nextSibling) : null,
+                node: data,
+              });
+            }
+          });
+        }
+      }
+      flush();
+    }).observe(document, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      characterData: true,
+    });
+
+    document.addEventListener('input', (event) => {
+      schedule({ op: 'value', id: nodeId(event.target), value: event.target.value });
+    }, true);
+
+    window.addEventListener('scroll', () => {
+      schedule({ op: 'scroll', x: window.scrollX, y: window.scrollY });
+    }, { passive: true });
+  }
+
+  window[binding + 'Recorder'] = { resync: snapshot };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+/**
+ * Mirror player
+ * @param options {{session: string, path: string}} `path` is the path
+ * of websocket on the proxy host to get the mirror messages from
+ */
+function mirrorPlayer({ session, path }) {
+  const nodes = new Map();
+  // sequence number of the last applied message, null if waiting for snapshot
+  let seq = null;
+
+  const scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const ws = new WebSocket(`${scheme}//${window.location.host}${path}`);
+
+  function send(message) {
+    ws.send(JSON.stringify({ session, ...message }));
+  }
+
+  function resync() {
+    seq = null;
+    send({ mirror: 'resync' });
+  }
+
+  function create(data) {
+    let node;
+    if (data.type === 1) {
+      node = data.ns ? document.createElementNS(data.ns, data.tag) : document.createElement(data.tag);
+      for (const [name, value] of Object.entries(data.attrs)) {
+        try {
+          node.setAttribute(name, value);
+        } catch (e) {
+          // invalid attribute name, which parser has tolerated
+        }
+      }
+      data.children.forEach((child) => node.appendChild(create(child)));
+    } else if (data.type === 3) {
+      node = document.createTextNode(data.text);
+    } else {
+      node = document.createComment(data.text);
+    }
+    nodes.set(data.id, node);
+    return node;
+  }
+
+  function get(id) {
+    const node = nodes.get(id);
+    if (!node) {
+      throw new Error(`Unknown node ${id}`);
+    }
+    return node;
+  }
+
+  function apply(patch) {
+    switch (patch.op) {
+      case 'insert': {
+        const parent = get(patch.parent);
+        const before = patch.before && nodes.get(patch.before);
+        parent.insertBefore(create(patch.node), before && before.parentNode === parent ? before : null);
+        break;
+      }
+
+      case 'remove': {
+        const node = nodes.get(patch.id);
+        if (node && node.parentNode) {
+          node.parentNode.removeChild(node);
+        }
+        break;
+      }
+
+      case 'attr':
+        if (patch.value == null) {
+          get(patch.id).removeAttribute(patch.name);
+        } else {
+          get(patch.id).setAttribute(patch.name, patch.value);
+        }
+        break;
+
+      case 'text':
+        get(patch.id).data = patch.text;
+        break;
+
+      case 'value':
+        get(patch.id).value = patch.value;
+        break;
+
+      case 'scroll':
+        window.scrollTo(patch.x, patch.y);
+        break;
+    }
+  }
+
+  ws.onopen = function () {
+    send({ mirror: true });
+  };
+
+  ws.onmessage = function (event) {
+    const message = JSON.parse(event.data);
+    if (message.type !== 'mirror') {
+      return;
+    }
+    if (message.snapshot) {
+      nodes.clear();
+      document.replaceChild(create(message.snapshot), document.documentElement);
+      seq = message.seq;
+    } else if (seq !== null) {
+      if (message.seq !== seq + 1) {
+        // some patches are missed
+        resync();
+        return;
+      }
+      seq = message.seq;
+      try {
+        message.patches.forEach(apply);
+      } catch (e) {
+        resync();
+      }
+    }
+  };
+}
+
+/**
+ * Make HTML document which plays the mirror
+ * @param options {{session: string, path: string}} see {@link mirrorPlayer}
+ * @return {string}
+ */
+function mirrorDocument(options) {
+  return `<!DOCTYPE html>
+<html><head><script>(${mirrorPlayer})(${JSON.stringify(options)});</script></head><body></body></html>`;
+}
+
+module.exports = {
+  mirrorRecorder,
+  mirrorPlayer,
+  mirrorDocument,
+};
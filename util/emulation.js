@@ -0,0 +1,167 @@
+// emulation profile of the session: device, locale, location, and network
+// and CPU conditions its page is run with. profile format:
+// {
+//   "device": ...,  -- name of puppeteer's KnownDevices preset, e.g. "iPhone 13",
+//   sets viewport and user agent
+//   "viewport": {"width", "height", "deviceScaleFactor", "isMobile", "hasTouch",
+//   "isLandscape"},  -- custom viewport, overrides the device's one
+//   "userAgent": ...,  -- overrides the device's one
+//   "acceptLanguage": ...,  -- e.g. "de-DE,de;q=0.9", the first language is
+//   the locale of the page as well
+//   "timezone": ...,  -- IANA time zone, e.g. "Europe/Berlin"
+//   "geolocation": {"latitude", "longitude", "accuracy"},
+//   "colorScheme": "light"|"dark"|"no-preference",
+//   "network": ...,  -- name of puppeteer's PredefinedNetworkConditions, e.g.
+//   "Slow 3G", or {"download", "upload", "latency"} in bytes/s and ms
+//   "cpuThrottling": ...  -- slowdown factor, e.g. 4
+// }
+// all fields are optional, the omitted ones are browser's defaults
+
+const { KnownDevices, PredefinedNetworkConditions } = require('puppeteer-core');
+const { httpError } = require('./infra-util');
+
+// viewport of the pages without emulation, as puppeteer sets it
+const DEFAULT_VIEWPORT = { width: 800, height: 600 };
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+/**
+ * Check the value is a finite number, optionally within the range
+ * @param value {*}
+ * @param name {string} for the error message
+ * @param min {number}
+ * @param max {number}
+ * @return {number}
+ */
+function number(value, name, min = -Infinity, max = Infinity) {
+  if (typeof value != 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw httpError(400, `Emulation ${name} must be a number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate emulation profile
+ * @param profile {object} see the format above
+ * @return {object} profile with the known fields only
+ */
+function emulationProfile(profile) {
+  if (!profile || typeof profile != 'object' || Array.isArray(profile)) {
+    throw httpError(400, 'Emulation must be an object');
+  }
+  const result = {};
+  const { device, viewport, userAgent, acceptLanguage, timezone, geolocation, colorScheme, network, cpuThrottling } = profile;
+  if (device !== undefined) {
+    if (typeof device != 'string' || !Object.hasOwn(KnownDevices, device)) {
+      throw httpError(400, `Unknown device: ${device}`);
+    }
+    result.device = device;
+  }
+  if (viewport !== undefined) {
+    if (!viewport || typeof viewport != 'object') {
+      throw httpError(400, 'Emulation viewport must be an object');
+    }
+    result.viewport = {
+      width: number(viewport.width, 'viewport width', 1, 10000),
+      height: number(viewport.height, 'viewport height', 1, 10000),
+      deviceScaleFactor: viewport.deviceScaleFactor === undefined ? 1 :
+          number(viewport.deviceScaleFactor, 'viewport deviceScaleFactor', 0.1, 10),
+      isMobile: !!viewport.isMobile,
+      hasTouch: !!viewport.hasTouch,
+      isLandscape: !!viewport.isLandscape,
+    };
+  }
+  for (const [name, value] of Object.entries({ userAgent, acceptLanguage })) {
+    if (value !== undefined) {
+      if (typeof value != 'string' || !value) {
+        throw httpError(400, `Emulation ${name} must be a non-empty string`);
+      }
+      result[name] = value;
+    }
+  }
+  if (timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: timezone });
+    } catch (e) {
+      throw httpError(400, `Unknown timezone: ${timezone}`);
+    }
+    result.timezone = timezone;
+  }
+  if (geolocation !== undefined) {
+    if (!geolocation || typeof geolocation != 'object') {
+      throw httpError(400, 'Emulation geolocation must be an object');
+    }
+    result.geolocation = {
+      latitude: number(geolocation.latitude, 'latitude', -90, 90),
+      longitude: number(geolocation.longitude, 'longitude', -180, 180),
+      accuracy: geolocation.accuracy === undefined ? 0 : number(geolocation.accuracy, 'accuracy', 0),
+    };
+  }
+  if (colorScheme !== undefined) {
+    if (!COLOR_SCHEMES.includes(colorScheme)) {
+      throw httpError(400, `Emulation colorScheme must be one of ${COLOR_SCHEMES.join(', ')}`);
+    }
+    result.colorScheme = colorScheme;
+  }
+  if (network !== undefined) {
+    if (typeof network == 'string') {
+      if (!Object.hasOwn(PredefinedNetworkConditions, network)) {
+        throw httpError(400, `Unknown network conditions: ${network}, ` +
+            `supported are ${Object.keys(PredefinedNetworkConditions).join(', ')}`);
+      }
+      result.network = network;
+    } else if (network && typeof network == 'object') {
+      result.network = {
+        download: number(network.download, 'network download', 0),
+        upload: number(network.upload, 'network upload', 0),
+        latency: number(network.latency, 'network latency', 0),
+      };
+    } else {
+      throw httpError(400, 'Emulation network must be a name or an object');
+    }
+  }
+  if (cpuThrottling !== undefined) {
+    result.cpuThrottling = number(cpuThrottling, 'cpuThrottling', 1, 100);
+  }
+  return result;
+}
+
+/**
+ * Apply the emulation profile to the page, resetting what the profile omits
+ * @param session {{browser: Browser, context: BrowserContext, page: Page, cdp: CDPSession}}
+ * @param profile {object} validated by {@link emulationProfile}
+ * @return {Promise<void>}
+ */
+async function applyEmulation({ browser, context, page, cdp }, profile) {
+  const device = profile.device ? KnownDevices[profile.device] : null;
+  await page.setViewport(profile.viewport || (device && device.viewport) || DEFAULT_VIEWPORT);
+  await page.setUserAgent(profile.userAgent || (device && device.userAgent) || await browser.userAgent());
+  await page.setExtraHTTPHeaders(profile.acceptLanguage ? { 'accept-language': profile.acceptLanguage } : {});
+  await cdp.send('Emulation.setLocaleOverride',
+      profile.acceptLanguage ? { locale: profile.acceptLanguage.split(/[,;]/)[0].trim() } : {});
+  await page.emulateTimezone(profile.timezone);
+  if (profile.geolocation) {
+    // let the pages of the session use the location without asking
+    const browserCdp = await browser.target().createCDPSession();
+    try {
+      await browserCdp.send('Browser.grantPermissions', {
+        permissions: ['geolocation'],
+        browserContextId: context.id,
+      });
+    } finally {
+      await browserCdp.detach();
+    }
+    await cdp.send('Emulation.setGeolocationOverride', profile.geolocation);
+  } else {
+    await cdp.send('Emulation.clearGeolocationOverride');
+  }
+  await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: profile.colorScheme || '' }]);
+  await page.emulateNetworkConditions(typeof profile.network == 'string' ?
+      PredefinedNetworkConditions[profile.network] : profile.network || null);
+  await page.emulateCPUThrottling(profile.cpuThrottling || null);
+}
+
+module.exports = {
+  emulationProfile,
+  applyEmulation,
+};
@@ -0,0 +1,43 @@
+// glob patterns of the clients, "*" matching any characters, e.g.
+// "*://*.example.com/*"; they are matched without RegExp, so that no pattern
+// makes the matching take long, on the event loop shared by all the sessions
+
+const MAX_LENGTH = 1000;
+
+/**
+ * Make a matcher out of the glob pattern, the whole string must match it
+ * @param pattern {string}
+ * @return {function(string): boolean}
+ */
+function globMatcher(pattern) {
+  if (pattern.length > MAX_LENGTH) {
+    throw new Error(`Pattern must be at most ${MAX_LENGTH} characters`);
+  }
+  const parts = pattern.split('*');
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  const middle = parts.slice(1, -1).filter((part) => part);
+  return (text) => {
+    if (parts.length === 1) {
+      return text === pattern;
+    }
+    if (text.length < first.length + last.length || !text.startsWith(first) || !text.endsWith(last)) {
+      return false;
+    }
+    // the leftmost occurrence of each part leaves the most room for the next ones
+    const end = text.length - last.length;
+    let position = first.length;
+    for (const part of middle) {
+      const found = text.indexOf(part, position);
+      if (found === -1 || found + part.length > end) {
+        return false;
+      }
+      position = found + part.length;
+    }
+    return true;
+  };
+}
+
+module.exports = {
+  globMatcher,
+};
@@ -0,0 +1,284 @@
+// network log of the controlled page, kept in memory within limits and
+// exported as HAR 1.2 (http://www.softwareishard.com/blog/har-12-spec/),
+// which can be imported by browsers' devtools
+
+const { version } = require('../package.json');
+
+// content types of the bodies kept as text, others are base64-encoded
+const TEXT_TYPES = /^(text\/|application\/([\w.+-]*\+)?(json|xml|javascript|ecmascript|x-www-form-urlencoded))/;
+
+/**
+ * Convert headers object to HAR name/value list
+ * @param headers {object}
+ * @return {{name: string, value: string}[]}
+ */
+function nameValues(headers) {
+  // puppeteer joins repeated headers with "\n"
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value).split('\n').map((value) => ({ name, value })));
+}
+
+/**
+ * Parse cookies of Cookie header
+ * @param header {string|undefined}
+ * @return {{name: string, value: string}[]}
+ */
+function requestCookies(header) {
+  return (header || '').split(';').map((pair) => pair.trim()).filter((pair) => pair).map((pair) => {
+    const i = pair.indexOf('=');
+    return i === -1 ? { name: pair, value: '' } : { name: pair.substring(0, i), value: pair.substring(i + 1) };
+  });
+}
+
+/**
+ * Parse cookies of Set-Cookie header(s), only names and values
+ * @param header {string|undefined}
+ * @return {{name: string, value: string}[]}
+ */
+function responseCookies(header) {
+  return (header || '').split('\n').filter((line) => line).map((line) => requestCookies(line.split(';')[0])[0]);
+}
+
+/**
+ * Make HAR timings out of CDP Network.ResourceTiming, times are in ms
+ * @param timing {object|null} ResourceTiming of the response, if any
+ * @param requestAt {number} when the request was sent
+ * @param responseAt {number} when its response was received
+ * @param finishedAt {number} when its response was loaded
+ * @return {object}
+ */
+function harTimings(timing, requestAt, responseAt, finishedAt) {
+  const receive = Math.max(finishedAt - responseAt, 0);
+  if (!timing) {
+    // e.g. served from the cache, or by the interception rules
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(responseAt - requestAt, 0), receive };
+  }
+  const span = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+  const ssl = span(timing.sslStart, timing.sslEnd);
+  return {
+    blocked: Math.max([timing.dnsStart, timing.connectStart, timing.sendStart].find((t) => t >= 0) || 0, 0),
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    // connect includes ssl, as HAR requires
+    ssl,
+    send: Math.max(timing.sendEnd - timing.sendStart, 0),
+    wait: Math.max(timing.receiveHeadersEnd - timing.sendEnd, 0),
+    receive,
+  };
+}
+
+/**
+ * Record network log of the page
+ * @param page {Page}
+ * @param options {{maxEntries: number, bodies: boolean, maxBodySize: number, maxBodiesSize: number}}
+ * the oldest entries are dropped when there are more than `maxEntries`;
+ * response bodies are kept if `bodies`, unless they are larger than `maxBodySize`,
+ * and bodies of the oldest entries are dropped when all of them take more than `maxBodiesSize`
+ * @return {{entries: object[], stop: function, toHar: function(): object}}
+ */
+function harLog(page, { maxEntries, bodies, maxBodySize, maxBodiesSize }) {
+  // entries in progress, by request
+  const pending = new Map();
+  const pages = [];
+  // entries with bodies, in order of completion, and the size of the bodies
+  const withBodies = [];
+  let bodiesSize = 0;
+
+  const log = {
+    // completed HAR entries, in order of completion
+    entries: [],
+
+    onRequest: function (request) {
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        pages.push({
+          startedDateTime: new Date().toISOString(),
+          startedAt: Date.now(),
+          id: `page_${pages.length + 1}`,
+          title: request.url(),
+          pageTimings: { onContentLoad: -1, onLoad: -1 },
+        });
+        if (pages.length > maxEntries) {
+          pages.shift();
+        }
+      }
+      pending.set(request, {
+        pageref: pages.length ? pages[pages.length - 1].id : undefined,
+        startedDateTime: new Date().toISOString(),
+        requestAt: Date.now(),
+      });
+    },
+
+    onResponse: function (response) {
+      const entry = pending.get(response.request());
+      if (entry) {
+        entry.responseAt = Date.now();
+      }
+    },
+
+    onFinished: async function (request) {
+      const entry = pending.get(request);
+      if (!entry) {
+        return;
+      }
+      pending.delete(request);
+      const response = request.response();
+      let body = null;
+      if (bodies && response) {
+        const size = parseInt(response.headers()['content-length']);
+        if (!(size > maxBodySize)) {
+          // redirects and some others have no body
+          body = await response.buffer().catch(() => null);
+          if (body && body.length > maxBodySize) {
+            body = null;
+          }
+        }
+      }
+      this.add(request, entry, body);
+    },
+
+    onFailed: function (request) {
+      const entry = pending.get(request);
+      if (entry) {
+        pending.delete(request);
+        this.add(request, entry, null);
+      }
+    },
+
+    onPageEvent: function (name) {
+      const current = pages[pages.length - 1];
+      if (current) {
+        current.pageTimings[name] = Date.now() - current.startedAt;
+      }
+    },
+
+    add: function (request, { pageref, startedDateTime, requestAt, responseAt }, body) {
+      const finishedAt = Date.now();
+      const response = request.response();
+      const url = new URL(request.url());
+      const requestHeaders = request.headers();
+      const postData = request.postData();
+      const timings = harTimings(response && response.timing(), requestAt, responseAt || finishedAt, finishedAt);
+      const entry = {
+        pageref,
+        startedDateTime,
+        time: Object.entries(timings)
+            .filter(([name, time]) => name !== 'ssl' && time > 0)
+            .reduce((sum, [, time]) => sum + time, 0),
+        request: {
+          method: request.method(),
+          url: request.url(),
+          httpVersion: '',
+          cookies: requestCookies(requestHeaders.cookie),
+          headers: nameValues(requestHeaders),
+          queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+          headersSize: -1,
+          bodySize: postData ? Buffer.byteLength(postData) : 0,
+        },
+        response: null,
+        cache: {},
+        timings,
+        _resourceType: request.resourceType(),
+      };
+      if (postData) {
+        entry.request.postData = { mimeType: requestHeaders['content-type'] || '', text: postData };
+      }
+      if (response) {
+        const headers = response.headers();
+        const mimeType = headers['content-type'] || '';
+        const size = parseInt(headers['content-length']);
+        const content = { size: body ? body.length : size >= 0 ? size : 0, mimeType };
+        if (body) {
+          if (TEXT_TYPES.test(mimeType)) {
+            content.text = body.toString();
+          } else {
+            content.text = body.toString('base64');
+            content.encoding = 'base64';
+          }
+        }
+        entry.response = {
+          status: response.status(),
+          statusText: response.statusText(),
+          httpVersion: '',
+          cookies: responseCookies(headers['set-cookie']),
+          headers: nameValues(headers),
+          content,
+          redirectURL: headers.location || '',
+          headersSize: -1,
+          bodySize: size >= 0 ? size : -1,
+        };
+        entry.serverIPAddress = response.remoteAddress().ip;
+        entry.cache = response.fromCache() ? { afterRequest: null } : {};
+      } else {
+        // failed request, HAR requires the response anyway
+        entry.response = {
+          status: 0,
+          statusText: '',
+          httpVersion: '',
+          cookies: [],
+          headers: [],
+          content: { size: 0, mimeType: '' },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: -1,
+          _error: request.failure() ? request.failure().errorText : null,
+        };
+      }
+      this.entries.push(entry);
+      if (body) {
+        withBodies.push(entry);
+        bodiesSize += body.length;
+      }
+      if (this.entries.length > maxEntries && this.entries.shift() === withBodies[0]) {
+        bodiesSize -= withBodies.shift().response.content.size;
+      }
+      while (bodiesSize > maxBodiesSize) {
+        const { content } = withBodies.shift().response;
+        bodiesSize -= content.size;
+        delete content.text;
+        delete content.encoding;
+      }
+    },
+
+    start: function () {
+      this.handlers = {
+        request: this.onRequest.bind(this),
+        response: this.onResponse.bind(this),
+        requestfinished: (request) => this.onFinished(request).catch(() => {}),
+        requestfailed: this.onFailed.bind(this),
+        domcontentloaded: () => this.onPageEvent('onContentLoad'),
+        load: () => this.onPageEvent('onLoad'),
+      };
+      Object.entries(this.handlers).forEach(([event, handler]) => page.on(event, handler));
+    },
+
+    stop: function () {
+      Object.entries(this.handlers).forEach(([event, handler]) => page.off(event, handler));
+      pending.clear();
+    },
+
+    /**
+     * Export the log
+     * @return {object} HAR 1.2
+     */
+    toHar: function () {
+      const pagerefs = new Set(this.entries.map(({ pageref }) => pageref));
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: 'sadist-proxy', version },
+          pages: pages
+              .filter(({ id }) => pagerefs.has(id))
+              .map(({ startedDateTime, id, title, pageTimings }) => ({ startedDateTime, id, title, pageTimings })),
+          entries: [...this.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+        },
+      };
+    },
+  };
+
+  log.start();
+  return log;
+}
+
+module.exports = {
+  harLog,
+};
@@ -0,0 +1,140 @@
+// policy of the headers of the target's responses passed to the client
+// by the proxy routes: which ones pass, and how they are rewritten to
+// point to the proxy. policy format (config.headers):
+// {
+//   "allow": [...],  -- names of the headers to pass, "*" at the end matches
+//   any suffix, e.g. "access-control-*"
+//   "deny": [...],  -- names of the headers to drop even if allowed, e.g.
+//   "content-security-policy" and "x-frame-options" so that the page can be framed
+//   "rewrite": [...]  -- headers to rewrite: "location" is made a proxy URL,
+//   "set-cookie" is made a cookie of the session's path on the proxy's domain
+//   (but the one named as the proxy's auth cookie is dropped, not to replace it)
+// }
+// names are case-insensitive. headers describing the connection or the encoding
+// of the body never pass, as the body is sent decoded, and by our own connection;
+// range of the body only passes with partial content (206 or 416), otherwise
+// the proxy makes the ranges itself
+
+const { TOKEN_COOKIE } = require('./client-auth');
+
+// hop-by-hop headers, and those set by the proxy itself
+const OWN_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'content-length',
+  'content-encoding',
+];
+
+// headers of partial content, passed as is with the partial body
+// the proxy doesn't make ranges of
+const RANGE_HEADERS = ['content-range', 'accept-ranges'];
+
+// statuses of the responses with partial content, or of unsatisfiable range
+const RANGE_STATUSES = [206, 416];
+
+/**
+ * Make name matcher out of the list of names and prefixes
+ * @param names {string[]}
+ * @return {function(string): boolean}
+ */
+function nameMatcher(names) {
+  const exact = new Set();
+  const prefixes = [];
+  for (const name of names.map((name) => String(name).toLowerCase())) {
+    if (name.endsWith('*')) {
+      prefixes.push(name.slice(0, -1));
+    } else {
+      exact.add(name);
+    }
+  }
+  return (name) => exact.has(name) || prefixes.some((prefix) => name.startsWith(prefix));
+}
+
+/**
+ * Rewrite the cookie to be set for the proxy instead of the target
+ * @param cookie {string} Set-Cookie value
+ * @param path {string} path of the session on the proxy
+ * @return {string|null} null if the cookie must not be set
+ */
+function rewriteCookie(cookie, path) {
+  const [pair, ...attributes] = cookie.split(';').map((part) => part.trim());
+  if (pair.split('=')[0].trim() === TOKEN_COOKIE) {
+    // it would log the client out of the session
+    return null;
+  }
+  return [
+    pair,
+    ...attributes.filter((attribute) => !/^(domain|path)\s*(=|$)/i.test(attribute)),
+    `Path=${path}`,
+  ].join('; ');
+}
+
+/**
+ * Header policy
+ * @param policy {{allow: string[], deny: string[], rewrite: string[]}}
+ * see the format above
+ * @return {{isAllowed: function(string): boolean, apply: function(object, object): object}}
+ */
+function headerPolicy({ allow = [], deny = [], rewrite = [] }) {
+  const allowed = nameMatcher(allow);
+  const denied = nameMatcher([...OWN_HEADERS, ...deny]);
+  const rewritten = new Set(rewrite.map((name) => String(name).toLowerCase()));
+
+  return {
+    /**
+     * Check whether the header passes
+     * @param name {string}
+     * @return {boolean}
+     */
+    isAllowed: function (name) {
+      name = name.toLowerCase();
+      return allowed(name) && !denied(name);
+    },
+
+    /**
+     * Filter and rewrite headers of the target's response
+     * @param headers {object} as puppeteer gives them, i.e. lower-case names,
+     * and repeated headers joined with "\n"
+     * @param context {{rewriter: object, route: string, url: string, cookiePath: string, status: number}}
+     * `rewriter` is the page rewriter of the session, see util/page-rewriter.js,
+     * `route` is the proxy route Location is rewritten to, `url` is URL of
+     * the response, `cookiePath` is the path of the session on the proxy,
+     * `status` is status of the response if its body is passed as is
+     * @return {object} headers to send, repeated ones as arrays
+     */
+    apply: function (headers, { rewriter, route, url, cookiePath, status }) {
+      const result = {};
+      for (const [name, value] of Object.entries(headers)) {
+        if (RANGE_HEADERS.includes(name.toLowerCase())) {
+          if (RANGE_STATUSES.includes(status)) {
+            result[name] = value;
+          }
+          continue;
+        }
+        if (!this.isAllowed(name)) {
+          continue;
+        }
+        let values = String(value).split('\n');
+        if (name.toLowerCase() === 'location' && rewritten.has('location')) {
+          values = values.map((location) => rewriter.proxyUrl(route, location, url));
+        } else if (name.toLowerCase() === 'set-cookie' && rewritten.has('set-cookie')) {
+          values = values.map((cookie) => rewriteCookie(cookie, cookiePath)).filter((cookie) => cookie !== null);
+        }
+        if (values.length) {
+          result[name] = values.length === 1 ? values[0] : values;
+        }
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  headerPolicy,
+};
@@ -6,6 +6,18 @@ const pino = require('pino');
 // in the future
 const logger = pino({});
 
+/**
+ * Create an error which is reported to the HTTP client with given status
+ * @param statusCode {number}
+ * @param message {string}
+ * @return {Error}
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
 // handle uncaught exception
 process.on('uncaughtException', (e) => {
   logger.error(e);
@@ -18,4 +30,5 @@ process.on('unhandledRejection', (reason) => {
 
 module.exports = {
   logger,
+  httpError,
 };
@@ -0,0 +1,150 @@
+// storage of the crawler jobs, so that their state and results outlive
+// the clients which have submitted them. job format is defined by the app,
+// the only required field is `job`, i.e. the job ID (or another field given
+// as `key`, e.g. for schedules of the jobs)
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Job store which keeps jobs in memory
+ * @param options {{key: string}}
+ */
+function memoryJobStore({ key = 'job' } = {}) {
+  const jobs = {};
+
+  return {
+    /**
+     * Get all saved jobs
+     * @return {Promise<object[]>}
+     */
+    load: async function () {
+      return Object.values(jobs);
+    },
+
+    /**
+     * Get the job
+     * @param job {string}
+     * @return {Promise<object|null>}
+     */
+    get: async function (job) {
+      return jobs[job] || null;
+    },
+
+    /**
+     * Save (insert or replace) the job
+     * @param record {object}
+     * @return {Promise<void>}
+     */
+    save: async function (record) {
+      jobs[record[key]] = record;
+    },
+
+    /**
+     * Remove the job
+     * @param job {string}
+     * @return {Promise<void>}
+     */
+    remove: async function (job) {
+      delete jobs[job];
+    },
+  };
+}
+
+/**
+ * Job store which keeps every job in a JSON file of its own in the directory,
+ * as results may be large
+ * @param options {{path: string, key: string}} path of the directory
+ */
+function fileJobStore({ path: dirPath, key = 'job' }) {
+  // writes of every job are chained so that they don't interleave
+  const writing = {};
+
+  function jobPath(job) {
+    // IDs are generated by us, but let be sure they don't point outside
+    return path.join(dirPath, `${path.basename(job)}.json`);
+  }
+
+  async function read(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      return null;
+    }
+  }
+
+  function chain(job, write) {
+    const promise = (writing[job] || Promise.resolve()).catch(() => {}).then(write);
+    writing[job] = promise;
+    promise.catch(() => {}).then(() => {
+      if (writing[job] === promise) {
+        delete writing[job];
+      }
+    });
+    return promise;
+  }
+
+  return {
+    load: async function () {
+      let files;
+      try {
+        files = await fs.promises.readdir(dirPath);
+      } catch (e) {
+        if (e.code !== 'ENOENT') {
+          throw e;
+        }
+        return [];
+      }
+      const jobs = await Promise.all(files.filter((file) => file.endsWith('.json'))
+          .map((file) => read(path.join(dirPath, file))));
+      return jobs.filter((job) => job);
+    },
+
+    get: async function (job) {
+      await (writing[job] || Promise.resolve()).catch(() => {});
+      return read(jobPath(job));
+    },
+
+    save: async function (record) {
+      // write to a temporary file first to not leave
+      // half-written file if the process dies
+      const data = JSON.stringify(record);
+      await chain(record[key], async () => {
+        const filePath = jobPath(record[key]);
+        await fs.promises.mkdir(dirPath, { recursive: true });
+        await fs.promises.writeFile(filePath + '.tmp', data);
+        await fs.promises.rename(filePath + '.tmp', filePath);
+      });
+    },
+
+    remove: async function (job) {
+      await chain(job, () => fs.promises.rm(jobPath(job), { force: true }));
+    },
+  };
+}
+
+/**
+ * Create job store of the configured type
+ * @param options {{type: 'memory'|'file', path: string, key: string}}
+ */
+function jobStore(options) {
+  switch (options.type) {
+    case 'memory':
+      return memoryJobStore(options);
+
+    case 'file':
+      return fileJobStore(options);
+
+    default:
+      throw new Error(`Unknown job store type: ${options.type}`);
+  }
+}
+
+module.exports = {
+  jobStore,
+  memoryJobStore,
+  fileJobStore,
+};
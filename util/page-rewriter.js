@@ -0,0 +1,436 @@
+// rewriting of the page, so that it can be shown in the client's iframe
+// with all its URLs pointing to the proxy.
+//
+// `pageRewriter` is serialized and executed in the browser: in the controlled
+// page, to patch the clone of the document, and in the client's iframe, as
+// a shim which patches network APIs and elements added later by scripts.
+// so it must not refer to anything outside of itself. CSS rewriting doesn't
+// need DOM and is used by the proxy server as well.
+
+/**
+ * Page rewriter
+ * @param options {{proxyroot: string, proxyhost: string, baseUrl: string}}
+ * `proxyroot` is the public path of the session, `proxyhost` is host of
+ * the proxy server, `baseUrl` is the URL to resolve relative URLs against,
+ * document's base URL by default
+ */
+function pageRewriter({ proxyroot, proxyhost, baseUrl }) {
+  if (!baseUrl && typeof document != 'undefined') {
+    baseUrl = document.baseURI;
+  }
+
+  // attributes holding URLs, and what they are rewritten to
+  // (`null` means it depends on the element)
+  const URL_ATTRIBUTES = {
+    href: null,
+    src: 'ref',
+    poster: 'ref',
+    data: 'ref',
+    action: null,
+  };
+
+  function isProxied(url) {
+    return url.startsWith(proxyroot + '/') || url.includes('//' + proxyhost + proxyroot + '/');
+  }
+
+  /**
+   * Make proxy URL out of the target URL
+   * @param route {'visit'|'ref'|'fetch'|'socket'}
+   * @param url {string}
+   * @param base {string}
+   * @return {string}
+   */
+  function proxyUrl(route, url, base = baseUrl) {
+    if (!url || isProxied(url) || url.startsWith('#')) {
+      return url;
+    }
+    let urlObj;
+    try {
+      urlObj = new URL(url, base);
+    } catch (e) {
+      return url;
+    }
+    if (!/^(https?|wss?):$/.test(urlObj.protocol)) {
+      // data:, blob:, javascript: etc. don't go anywhere
+      return url;
+    }
+    if (urlObj.host === proxyhost) {
+      // URL is made by a script out of the iframe location, it's
+      // rather meant to go to the target
+      urlObj.host = new URL(baseUrl).host;
+    }
+    return proxyroot + '/' + route + '/' + encodeURIComponent(urlObj.href);
+  }
+
+  /**
+   * Get target URL back from the proxy URL
+   * @param url {string}
+   * @return {string}
+   */
+  function targetUrl(url) {
+    const match = /\/(?:visit|ref|fetch|socket)\/([^?#]*)/.exec(url);
+    return isProxied(url) && match ? decodeURIComponent(match[1]) : url;
+  }
+
+  /**
+   * Rewrite URLs in the stylesheet
+   * @param text {string}
+   * @param base {string} URL of the stylesheet
+   * @return {string}
+   */
+  function css(text, base = baseUrl) {
+    return text
+        .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/g,
+            (m, quote, url) => `url(${quote}${proxyUrl('ref', url, base)}${quote})`)
+        .replace(/@import\s+(['"])(.*?)\1/g,
+            (m, quote, url) => `@import ${quote}${proxyUrl('ref', url, base)}${quote}`);
+  }
+
+  /**
+   * Rewrite URLs in `srcset`, which is comma-separated list of
+   * URLs with optional descriptors
+   * @param value {string}
+   * @return {string}
+   */
+  function srcset(value) {
+    const candidates = [];
+    let rest = value;
+    while ((rest = rest.replace(/^[\s,]+/, ''))) {
+      let url = rest.match(/^\S+/)[0];
+      rest = rest.substring(url.length);
+      let descriptor = '';
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        descriptor = rest.match(/^[^,]*/)[0];
+        rest = rest.substring(descriptor.length);
+      }
+      candidates.push(proxyUrl('ref', url) + descriptor.replace(/\s+$/, ''));
+    }
+    return candidates.join(', ');
+  }
+
+  /**
+   * Rewrite the attribute value
+   * @param element {Element}
+   * @param name {string} attribute name
+   * @param value {string}
+   * @return {string}
+   */
+  function attribute(element, name, value) {
+    const tag = element.tagName.toLowerCase();
+    name = name.toLowerCase();
+    if (value == null) {
+      return value;
+    }
+    value = String(value);
+    if (name === 'href') {
+      return proxyUrl(tag === 'a' || tag === 'area' ? 'visit' : 'ref', value);
+    } else if (name === 'action') {
+      // forms are rather submitted in the controlled page, see `install`,
+      // that's for the case the shim fails
+      return proxyUrl((element.getAttribute('method') || 'get').toLowerCase() === 'get' ?
+          'visit' : 'fetch', value);
+    } else if (name === 'srcset') {
+      return srcset(value);
+    } else if (name === 'style') {
+      return css(value);
+    } else if (name === 'content' && tag === 'meta' &&
+        (element.getAttribute('http-equiv') || '').toLowerCase() === 'refresh') {
+      return value.replace(/(;\s*url\s*=\s*)(['"]?)([^'"]*)\2/i,
+          (m, prefix, quote, url) => prefix + quote + proxyUrl('visit', url) + quote);
+    } else if (URL_ATTRIBUTES[name]) {
+      return proxyUrl(URL_ATTRIBUTES[name], value);
+    }
+    return value;
+  }
+
+  /**
+   * Rewrite URLs of the element itself
+   * @param el {Element}
+   * @param setAttribute {function} original `setAttribute`, since
+   * the shim patches it
+   */
+  function element(el, setAttribute = Element.prototype.setAttribute) {
+    for (const name of [...Object.keys(URL_ATTRIBUTES), 'srcset', 'style', 'content']) {
+      const value = el.getAttribute(name);
+      const newValue = attribute(el, name, value);
+      // don't touch unchanged attributes, not to trigger mutation observer
+      if (value !== newValue) {
+        setAttribute.call(el, name, newValue);
+      }
+    }
+    if (el.tagName.toLowerCase() === 'style') {
+      const text = el.textContent;
+      const newText = css(text);
+      if (text !== newText) {
+        el.textContent = newText;
+      }
+    }
+  }
+
+  /**
+   * Rewrite URLs of the element and all its descendants
+   * @param root {Element|Document}
+   * @param setAttribute {function}
+   */
+  function tree(root, setAttribute) {
+    if (root.nodeType === 1) {
+      element(root, setAttribute);
+    }
+    root.querySelectorAll('[href],[src],[srcset],[style],[action],[poster],[data],meta[http-equiv],style')
+        .forEach((el) => element(el, setAttribute));
+  }
+
+  return {
+    proxyUrl,
+    targetUrl,
+    css,
+    srcset,
+    attribute,
+
+    /**
+     * Make patched clone of the document, serialized to string,
+     * with the shim script injected
+     * @param source {string} source of `pageRewriter` itself
+     * @return {string}
+     */
+    patchDocument: function (source) {
+      const doc = window.document.cloneNode(true);
+      // number elements of the document and of its clone in the same order,
+      // so that the shim can tell which element of the page the user input is for
+      const originals = window.document.getElementsByTagName('*');
+      const copies = doc.getElementsByTagName('*');
+      window.__proxyNodes = [];
+      for (let i = 0; i < originals.length; i++) {
+        const original = originals[i];
+        const copy = copies[i];
+        window.__proxyNodes.push(new WeakRef(original));
+        copy.setAttribute('data-proxy-node', i);
+        // state of form fields is not in attributes, so not cloned
+        if (original instanceof HTMLInputElement) {
+          if (original.type === 'checkbox' || original.type === 'radio') {
+            copy.toggleAttribute('checked', original.checked);
+          } else if (original.type !== 'file') {
+            copy.setAttribute('value', original.value);
+          }
+        } else if (original instanceof HTMLTextAreaElement) {
+          copy.textContent = original.value;
+        } else if (original instanceof HTMLOptionElement) {
+          copy.toggleAttribute('selected', original.selected);
+        }
+        if (original === window.document.activeElement && original !== window.document.body) {
+          copy.setAttribute('data-proxy-focus', '');
+        }
+      }
+      // all URLs are absolute after rewriting, base would break them
+      doc.querySelectorAll('base').forEach((el) => el.remove());
+      tree(doc);
+      // XMLSerializer would escape the script text, so it goes as data URL
+      // (all the parts of the shim are ASCII, so btoa is fine)
+      const script = doc.createElement('script');
+      script.src = 'data:text/javascript;base64,' +
+          btoa(`(${source})(${JSON.stringify({ proxyroot, proxyhost, baseUrl })}).install();`);
+      doc.head.insertBefore(script, doc.head.firstChild);
+      return new XMLSerializer().serializeToString(doc);
+    },
+
+    /**
+     * Install the shim into the client's iframe
+     */
+    install: function () {
+      const setAttribute = Element.prototype.setAttribute;
+
+      // network APIs
+      const stashFetch = window.fetch;
+      window.fetch = function (resource, init) {
+        if (resource instanceof Request) {
+          resource = new Request(proxyUrl('fetch', resource.url), resource);
+        } else {
+          resource = proxyUrl('fetch', String(resource));
+        }
+        return stashFetch.call(this, resource, init);
+      };
+
+      const stashOpen = XMLHttpRequest.prototype.open;
+      XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        return stashOpen.call(this, method, proxyUrl('fetch', String(url)), ...rest);
+      };
+
+      window.WebSocket = new Proxy(window.WebSocket, {
+        construct: function (target, [url, protocols]) {
+          // websocket needs absolute URL with ws(s) scheme
+          const path = proxyUrl('socket', String(url));
+          const scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+          return new target(`${scheme}//${window.location.host}${path}`, protocols);
+        }
+      });
+
+      window.EventSource = new Proxy(window.EventSource, {
+        construct: function (target, [url, init]) {
+          return new target(proxyUrl('fetch', String(url)), init);
+        }
+      });
+
+      const stashSendBeacon = navigator.sendBeacon;
+      navigator.sendBeacon = function (url, data) {
+        return stashSendBeacon.call(this, proxyUrl('fetch', String(url)), data);
+      };
+
+      // element attributes set by scripts
+      Element.prototype.setAttribute = function (name, value) {
+        return setAttribute.call(this, name, attribute(this, name, value));
+      };
+      [
+        [HTMLImageElement, 'src'], [HTMLImageElement, 'srcset'],
+        [HTMLSourceElement, 'src'], [HTMLSourceElement, 'srcset'],
+        [HTMLScriptElement, 'src'], [HTMLLinkElement, 'href'],
+        [HTMLMediaElement, 'src'], [HTMLIFrameElement, 'src'],
+        [HTMLAnchorElement, 'href'], [HTMLFormElement, 'action'],
+      ].forEach(([type, name]) => {
+        const descriptor = Object.getOwnPropertyDescriptor(type.prototype, name);
+        Object.defineProperty(type.prototype, name, {
+          ...descriptor,
+          set: function (value) {
+            descriptor.set.call(this, attribute(this, name, value));
+          }
+        });
+      });
+
+      // elements added or changed by scripts
+      new MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+          if (mutation.type === 'attributes') {
+            element(mutation.target, setAttribute);
+          } else {
+            mutation.addedNodes.forEach((node) => {
+              if (node.nodeType === 1) {
+                tree(node, setAttribute);
+              } else if (node.parentNode && node.parentNode.nodeType === 1 &&
+                  node.parentNode.tagName.toLowerCase() === 'style') {
+                // text appended to the style, e.g. by CSS-in-JS
+                element(node.parentNode, setAttribute);
+              }
+            });
+          }
+        }
+      }).observe(document, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        attributeFilter: [...Object.keys(URL_ATTRIBUTES), 'srcset', 'style', 'content'],
+      });
+
+      // user input is replayed in the controlled page (see /input route),
+      // elements are identified by the numbers given by `patchDocument`
+      let sending = Promise.resolve();
+
+      function target(event) {
+        const el = event.target.closest && event.target.closest('[data-proxy-node]');
+        return el ? { el, node: parseInt(el.getAttribute('data-proxy-node')) } : { el: null, node: null };
+      }
+
+      function isTextField(el) {
+        return el && (el.isContentEditable || el instanceof HTMLTextAreaElement ||
+            (el instanceof HTMLInputElement &&
+                !['button', 'submit', 'reset', 'image', 'checkbox', 'radio'].includes(el.type)));
+      }
+
+      function send(input) {
+        // keep the order of the input
+        sending = sending.then(() => stashFetch.call(window, proxyroot + '/input', {
+          method: 'POST',
+          headers: { 'content-type': 'application/json' },
+          body: JSON.stringify(input),
+        })).catch(() => {});
+      }
+
+      function render(input) {
+        // submit via form to show the response, i.e. the updated page
+        sending.then(() => {
+          const form = document.createElement('form');
+          form.method = 'post';
+          form.action = proxyroot + '/input';
+          const field = document.createElement('input');
+          field.type = 'hidden';
+          field.name = 'input';
+          field.value = JSON.stringify({ ...input, render: true });
+          form.appendChild(field);
+          document.body.appendChild(form);
+          HTMLFormElement.prototype.submit.call(form);
+        });
+      }
+
+      window.addEventListener('click', (event) => {
+        const { el, node } = target(event);
+        const rect = el ? el.getBoundingClientRect() : { left: 0, top: 0 };
+        const input = {
+          type: 'click',
+          node,
+          x: event.clientX - rect.left,
+          y: event.clientY - rect.top,
+          button: ['left', 'middle', 'right'][event.button],
+          clickCount: event.detail || 1,
+        };
+        const local = isTextField(el) || (el instanceof HTMLInputElement &&
+            (el.type === 'checkbox' || el.type === 'radio'));
+        if (local) {
+          // let the field be focused or checked here as well
+          send(input);
+        } else {
+          event.preventDefault();
+          event.stopPropagation();
+          render(input);
+        }
+      }, true);
+
+      window.addEventListener('keydown', (event) => {
+        const { node } = target(event);
+        const input = {
+          type: 'key',
+          node,
+          key: event.key,
+          modifiers: ['Control', 'Alt', 'Meta'].filter((m) => event.getModifierState(m)),
+        };
+        if (event.key === 'Enter') {
+          // Enter may submit the form, so show what it results in
+          event.preventDefault();
+          render(input);
+        } else {
+          // typed text, scrolling etc. happen here as well
+          send(input);
+        }
+      }, true);
+
+      window.addEventListener('change', (event) => {
+        const { el, node } = target(event);
+        if (el instanceof HTMLSelectElement) {
+          send({ type: 'select', node, value: [...el.selectedOptions].map((o) => o.value) });
+        }
+      }, true);
+
+      window.addEventListener('submit', (event) => {
+        const { node } = target(event);
+        event.preventDefault();
+        render({ type: 'submit', node });
+      }, true);
+
+      let scrollTimeout = null;
+      window.addEventListener('scroll', () => {
+        clearTimeout(scrollTimeout);
+        scrollTimeout = setTimeout(() => {
+          send({ type: 'scroll', x: window.scrollX, y: window.scrollY });
+        }, 100);
+      }, { passive: true });
+
+      document.addEventListener('DOMContentLoaded', () => {
+        const focused = document.querySelector('[data-proxy-focus]');
+        if (focused) {
+          focused.focus();
+        }
+      });
+    },
+  };
+}
+
+module.exports = pageRewriter;
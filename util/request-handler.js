@@ -1,4 +1,5 @@
-const { bufferToString } = require('./binary-util');
+const { Readable, pipeline } = require('stream');
+const { parseRange, rangeTransform } = require('./stream-util');
 const { logger } = require('./infra-util');
 
 /**
@@ -111,16 +112,28 @@ function requestHandler(request, response) {
 
       if (actualResponse && typeof actualResponse.status == 'function'
           && typeof actualResponse.headers == 'function' &&
-          (typeof actualResponse.buffer == 'function' || typeof actualResponse.text == 'function')) {
+          (typeof actualResponse.stream == 'function' || typeof actualResponse.buffer == 'function'
+              || typeof actualResponse.text == 'function')) {
         // if actualResponse is something Response-like,
         // fill the response out of it
         response.statusCode = actualResponse.status();
         for (let [key, value] of Object.entries(actualResponse.headers())) {
-          response.setHeader(key.toString(), value.toString());
+          // repeated headers, e.g. Set-Cookie, are given as arrays
+          response.setHeader(key.toString(), Array.isArray(value) ? value.map(String) : value.toString());
         }
-        if (typeof actualResponse.buffer == 'function') {
+        if (typeof actualResponse.stream == 'function') {
+          // size of the streamed body may be unknown, then it's sent chunked
+          const size = typeof actualResponse.size == 'function' ? actualResponse.size() : undefined;
+          actualResponse.stream().then((stream) => {
+            this.sendStream(stream, size);
+          }, (e) => {
+            this.error(e);
+          });
+        } else if (typeof actualResponse.buffer == 'function') {
           actualResponse.buffer().then((buffer) => {
-            response.end(bufferToString(buffer), 'binary');
+            this.sendStream(Readable.from([buffer]), buffer.length);
+          }, (e) => {
+            this.error(e);
           });
         } else {
           actualResponse.text().then((text) => {
@@ -147,12 +160,59 @@ function requestHandler(request, response) {
     },
 
     /**
-     * Respond with the error in JSON format
+     * Send body of the response from the stream. If size is known,
+     * then Content-Length is set and Range requests are served
+     * @param stream {Readable}
+     * @param size {number|undefined}
+     */
+    sendStream: function (stream, size) {
+      const done = (e) => {
+        // the client going away is not worth a warning
+        if (e && e.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          logger.warn(e);
+        }
+      };
+      if (typeof size == 'number') {
+        response.setHeader('accept-ranges', 'bytes');
+        // only full content can be sliced, pass partial one as is
+        const range = response.statusCode === 200 && parseRange(request.headers.range, size);
+        if (range === false) {
+          stream.destroy();
+          response.statusCode = 416;
+          response.setHeader('content-range', `bytes */${size}`);
+          response.end();
+          return;
+        }
+        if (range) {
+          response.statusCode = 206;
+          response.setHeader('content-range', `bytes ${range.start}-${range.end}/${size}`);
+          response.setHeader('content-length', (range.end - range.start + 1).toString());
+          pipeline(stream, rangeTransform(range.start, range.end), response, done);
+          return;
+        }
+        response.setHeader('content-length', size.toString());
+      }
+      // if the client goes away, pipeline destroys the stream,
+      // and so reading from the browser stops
+      pipeline(stream, response, done);
+    },
+
+    /**
+     * Respond with the error in JSON format, status is taken
+     * from `statusCode` of the error if any (see {@link httpError})
      * @param errorMessage {*}
      */
     error: function (errorMessage) {
-      logger.error(errorMessage);
-      response.statusCode = 500;
+      const statusCode = errorMessage && errorMessage.statusCode || 500;
+      if (statusCode >= 500) {
+        logger.error(errorMessage);
+      } else {
+        logger.warn(errorMessage);
+      }
+      response.statusCode = statusCode;
+      if (errorMessage && errorMessage.retryAfter) {
+        response.setHeader('retry-after', errorMessage.retryAfter.toString());
+      }
       const body = {};
       if (errorMessage && typeof errorMessage.toString == 'function') {
         body.error = errorMessage.toString();
@@ -0,0 +1,146 @@
+// rules of interception of the requests made by the controlled page,
+// to block, rewrite or mock them. rule format:
+// {
+//   "match": {
+//     "url": ...,  -- glob with "*" matching any characters, e.g.
+//     "*://*.doubleclick.net/*", see util/glob.js
+//     "resourceType": ...,  -- e.g. "image", "font", "xhr", or array of them
+//     "method": ...  -- e.g. "POST", or array of them
+//   },  -- all the given conditions must match, omitted match matches anything
+//   "action": "abort",  -- fail the request, with optional "errorCode"
+//   (e.g. "blockedbyclient", the default)
+//   "action": "continue",  -- send the request with optional changes:
+//   "url", "method", "postData", and "headers" to set (or remove, if null)
+//   "action": "fulfill",  -- respond without sending the request,
+//   with "response": {"status", "headers", "contentType", "body", "base64"}
+//   ("body" is base64-encoded if "base64" is true)
+// }
+// the first matching rule applies, the request is continued as is if none
+
+const { httpError } = require('./infra-util');
+const { globMatcher } = require('./glob');
+
+const ACTIONS = ['abort', 'continue', 'fulfill'];
+
+/**
+ * Make a list out of a value or a list
+ * @param value {*}
+ * @return {Array|null} null if value is absent
+ */
+function list(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Validate the rules and prepare them for matching
+ * @param rules {object[]} see the format above
+ * @return {object[]}
+ */
+function compileRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw httpError(400, 'Rules must be an array');
+  }
+  return rules.map((rule, i) => {
+    if (!rule || typeof rule != 'object' || !ACTIONS.includes(rule.action)) {
+      throw httpError(400, `Rule ${i + 1} must have action, one of ${ACTIONS.join(', ')}`);
+    }
+    const match = rule.match || {};
+    let url = null;
+    if (match.url !== undefined) {
+      if (/^\/.*\/$/.test(String(match.url))) {
+        throw httpError(400, `Rule ${i + 1} has RegExp URL pattern, only globs are supported`);
+      }
+      try {
+        url = globMatcher(String(match.url));
+      } catch (e) {
+        throw httpError(400, `Rule ${i + 1} has invalid URL pattern: ${e.message}`);
+      }
+    }
+    if (rule.action === 'fulfill' && (!rule.response || typeof rule.response != 'object')) {
+      throw httpError(400, `Rule ${i + 1} must have response to fulfill with`);
+    }
+    if (rule.headers !== undefined && (!rule.headers || typeof rule.headers != 'object')) {
+      throw httpError(400, `Rule ${i + 1} has invalid headers`);
+    }
+    return {
+      rule,
+      url,
+      resourceTypes: list(match.resourceType),
+      methods: list(match.method) && list(match.method).map((method) => method.toUpperCase()),
+    };
+  });
+}
+
+/**
+ * Find the first rule matching the request
+ * @param compiled {object[]} rules made by {@link compileRules}
+ * @param request {HTTPRequest}
+ * @return {object|null} the rule as given to {@link compileRules}
+ */
+function findRule(compiled, request) {
+  const found = compiled.find(({ url, resourceTypes, methods }) =>
+    (!url || url(request.url())) &&
+    (!resourceTypes || resourceTypes.includes(request.resourceType())) &&
+    (!methods || methods.includes(request.method())));
+  return found ? found.rule : null;
+}
+
+/**
+ * Resolve the intercepted request by the rule
+ * @param rule {object|null}
+ * @param request {HTTPRequest}
+ * @return {Promise<void>}
+ */
+async function applyRule(rule, request) {
+  if (!rule) {
+    return request.continue();
+  }
+  switch (rule.action) {
+    case 'abort':
+      return request.abort(rule.errorCode || 'blockedbyclient');
+
+    case 'continue': {
+      const overrides = {};
+      if (rule.url !== undefined) {
+        overrides.url = String(rule.url);
+      }
+      if (rule.method !== undefined) {
+        overrides.method = String(rule.method).toUpperCase();
+      }
+      if (rule.postData !== undefined) {
+        overrides.postData = String(rule.postData);
+      }
+      if (rule.headers) {
+        const headers = { ...request.headers() };
+        for (const [name, value] of Object.entries(rule.headers)) {
+          if (value === null) {
+            delete headers[name.toLowerCase()];
+          } else {
+            headers[name.toLowerCase()] = String(value);
+          }
+        }
+        overrides.headers = headers;
+      }
+      return request.continue(overrides);
+    }
+
+    case 'fulfill': {
+      const { status = 200, headers = {}, contentType, body = '', base64 } = rule.response;
+      return request.respond({
+        status,
+        headers,
+        contentType,
+        body: base64 ? Buffer.from(String(body), 'base64') : String(body),
+      });
+    }
+  }
+}
+
+module.exports = {
+  compileRules,
+  findRule,
+  applyRule,
+};
@@ -0,0 +1,183 @@
+// sandbox for crawler scripts sent by the clients.
+//
+// every script runs in a worker thread of its own (see util/script-worker.js),
+// with a heap limit, and is terminated on exceeding wall-clock or CPU time,
+// or on cancellation, so it can neither touch the proxy process nor hang it.
+// the script gets `page` whose methods are called here on the real page,
+// as long as the command registry (see util/command-registry.js) and
+// the client's permissions allow them, and helpers `sleep(ms)`, `log(...args)` and `console`.
+// functions passed to the methods, e.g. to `page.evaluate`, are passed on as
+// their source, so they are executed in the browser as usual.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { JSHandle } = require('puppeteer-core');
+const { ERROR_CODES, commandError, checkCommand, callCommand } = require('./command-registry');
+
+// how often CPU time of the worker is checked
+const CPU_CHECK_INTERVAL = 1000;
+
+// number of the workers running now, of all sessions
+let running = 0;
+
+/**
+ * Make a function which puppeteer serializes to the given source,
+ * it is never called here
+ * @param source {string}
+ * @return {function}
+ */
+function sourceFunction(source) {
+  const f = function () {
+    throw new Error('Function of crawler script can only be executed in the page');
+  };
+  f.toString = () => source;
+  return f;
+}
+
+/**
+ * Run crawler script in the sandbox
+ * @param script {string} function declaration, with a single argument
+ * `page`, which returns (a Promise of) JSON-serializable result
+ * @param page {Page}
+ * @param options {{
+ *   timeout: number,
+ *   cpuTimeout: number,
+ *   memoryLimit: number,
+ *   maxScripts: number,
+ *   permissions: string[],
+ *   onLog: function(Array)
+ * }} `timeout` and `cpuTimeout` are wall-clock and CPU time limits in ms,
+ * `memoryLimit` is heap limit in MB, `maxScripts` is the number of scripts
+ * which can run at once, `permissions` are those of the client,
+ * `onLog` gets arguments of `log` calls
+ * @return {{promise: Promise<*>, cancel: function()}} `promise` of the result
+ * @throws {Error} BUSY command error if `maxScripts` are already running
+ */
+function runScript(script, page, { timeout, cpuTimeout, memoryLimit, maxScripts, permissions, onLog = () => {} }) {
+  // every worker takes its heap, so their number is limited
+  if (maxScripts && running >= maxScripts) {
+    throw commandError(ERROR_CODES.BUSY, `Exceeded ${maxScripts} running scripts, try again later`);
+  }
+  running++;
+  const worker = new Worker(path.join(__dirname, 'script-worker.js'), {
+    workerData: { script, cpuTimeout },
+    resourceLimits: { maxOldGenerationSizeMb: memoryLimit },
+    env: {},
+    // output of the worker isn't ours
+    stdout: true,
+    stderr: true,
+  });
+
+  // handles returned to the script, they are given to it by number
+  const handles = new Map();
+  let lastHandle = 0;
+
+  function toWorker(value) {
+    if (value instanceof JSHandle) {
+      handles.set(++lastHandle, value);
+      return { __handle: lastHandle };
+    }
+    if (Array.isArray(value)) {
+      return value.map(toWorker);
+    }
+    if (value && typeof value == 'object') {
+      const proto = Object.getPrototypeOf(value);
+      // other objects, e.g. HTTPResponse of `goto`, don't make sense there
+      return proto === Object.prototype || proto === null ?
+          Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toWorker(v)])) : null;
+    }
+    return value === undefined ? null : value;
+  }
+
+  function fromWorker(value) {
+    if (Array.isArray(value)) {
+      return value.map(fromWorker);
+    }
+    if (value && typeof value == 'object') {
+      if ('__handle' in value) {
+        if (!handles.has(value.__handle)) {
+          throw new Error('Handle is disposed');
+        }
+        return handles.get(value.__handle);
+      }
+      if ('__function' in value) {
+        return sourceFunction(String(value.__function));
+      }
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fromWorker(v)]));
+    }
+    return value;
+  }
+
+  async function invoke({ target, path: keys, args }) {
+    const name = keys.join('.');
+    args = fromWorker(args);
+    checkCommand(target ? 'handle' : 'page', name, args, permissions);
+    const object = target ? handles.get(target) : page;
+    if (!object) {
+      throw new Error('Handle is disposed');
+    }
+    const result = await callCommand(object, name, args);
+    if (name === 'dispose') {
+      handles.delete(target);
+    }
+    return toWorker(result);
+  }
+
+  let finish, cancel;
+  const promise = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      finish(reject, new Error(`Exceeded script timeout ${timeout}`));
+    }, timeout);
+
+    const cpuTimer = setInterval(() => {
+      if (worker.performance.eventLoopUtilization().active > cpuTimeout) {
+        finish(reject, new Error(`Exceeded script CPU time ${cpuTimeout}`));
+      }
+    }, CPU_CHECK_INTERVAL);
+
+    let finished = false;
+    finish = (settle, value) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      running--;
+      clearTimeout(timer);
+      clearInterval(cpuTimer);
+      worker.terminate();
+      handles.forEach((handle) => handle.dispose().catch(() => {}));
+      handles.clear();
+      settle(value);
+    };
+
+    worker.on('message', (message) => {
+      if ('call' in message) {
+        invoke(JSON.parse(message.request)).then((result) => {
+          worker.postMessage({ call: message.call, result: JSON.stringify(result) });
+        }, (e) => {
+          worker.postMessage({ call: message.call, error: e.message || String(e) });
+        });
+      } else if ('log' in message) {
+        onLog(JSON.parse(message.log));
+      } else if ('result' in message) {
+        finish(resolve, JSON.parse(message.result));
+      } else if ('error' in message) {
+        finish(reject, new Error(message.error));
+      }
+    });
+    // e.g. the heap limit is exceeded
+    worker.on('error', (e) => finish(reject, e));
+    worker.on('exit', (code) => finish(reject, new Error(`Script worker exited with code ${code}`)));
+
+    cancel = () => finish(reject, new Error('Script cancelled'));
+  });
+
+  return {
+    promise,
+    cancel,
+  };
+}
+
+module.exports = {
+  runScript,
+};
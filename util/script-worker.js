@@ -0,0 +1,141 @@
+// worker thread which executes a crawler script, see util/script-sandbox.js.
+//
+// the script runs in a vm context of its own, with code generation from
+// strings disabled. the context is given a single function of this realm,
+// `bridge`, which is kept in a closure of the bootstrap code, and which takes
+// and gives only strings and functions of the context, so the script can't
+// reach `process`, `require` or anything else of this realm via prototypes.
+// no exception of this realm may reach the context either, as its constructor
+// leads there too; the bootstrap captures the globals it relies on before
+// the script can replace them.
+
+const vm = require('vm');
+const { parentPort, workerData } = require('worker_threads');
+
+// executed in the context, makes `page` API and helpers out of the bridge.
+// page API is a proxy which turns `page.a.b(...args)` into a call of method
+// `a.b` in the main thread, element handles returned by the calls are such
+// proxies too
+const bootstrap = `(function (bridge) {
+  const { String, Promise, Error, Proxy, WeakMap } = globalThis;
+  const { stringify, parse } = JSON;
+  const { entries, fromEntries } = Object;
+  const { isArray } = Array;
+  const handleIds = new WeakMap();
+
+  function api(target, path) {
+    const proxy = new Proxy(function () {}, {
+      // not a thenable, so it can be awaited or resolved with
+      get: (t, name) => typeof name == 'string' && name !== 'then' ? api(target, [...path, name]) : undefined,
+      apply: (t, self, args) => call(target, path, args),
+    });
+    if (target && !path.length) {
+      handleIds.set(proxy, target);
+    }
+    return proxy;
+  }
+
+  function wrap(value) {
+    if (typeof value == 'function') {
+      return handleIds.has(value) ? { __handle: handleIds.get(value) } : { __function: String(value) };
+    }
+    if (isArray(value)) {
+      return value.map(wrap);
+    }
+    if (value && typeof value == 'object') {
+      return fromEntries(entries(value).map(([k, v]) => [k, wrap(v)]));
+    }
+    return value;
+  }
+
+  function unwrap(value) {
+    if (isArray(value)) {
+      return value.map(unwrap);
+    }
+    if (value && typeof value == 'object') {
+      return '__handle' in value ? api(value.__handle, []) :
+          fromEntries(entries(value).map(([k, v]) => [k, unwrap(v)]));
+    }
+    return value;
+  }
+
+  function call(target, path, args) {
+    return new Promise((resolve, reject) => {
+      bridge('call', stringify({ target, path, args: wrap(args) }),
+          (json) => resolve(unwrap(parse(json))),
+          (message) => reject(new Error(message)));
+    });
+  }
+
+  function log(...args) {
+    bridge('log', stringify(args.map((arg) => arg instanceof Error ? String(arg) : arg)));
+  }
+
+  globalThis.page = api(null, []);
+  globalThis.sleep = (ms) => new Promise((resolve, reject) =>
+    bridge('sleep', String(ms), () => resolve(), (message) => reject(new Error(message))));
+  globalThis.log = log;
+  globalThis.console = { log, info: log, warn: log, error: log, debug: log };
+})`;
+
+let lastCall = 0;
+const calls = {};
+
+function bridge(kind, data, resolve, reject) {
+  // called by the context, which may pass anything; errors are
+  // reported by a string, never thrown
+  try {
+    if (typeof data !== 'string') {
+      throw new Error('Bridge takes strings only');
+    }
+    switch (kind) {
+      case 'call': {
+        const call = ++lastCall;
+        calls[call] = { resolve, reject };
+        parentPort.postMessage({ call, request: data });
+        break;
+      }
+
+      case 'sleep':
+        setTimeout(() => resolve(), Number(data));
+        break;
+
+      case 'log':
+        parentPort.postMessage({ log: data });
+        break;
+    }
+  } catch (e) {
+    if (typeof reject === 'function') {
+      reject(`${e.message}`);
+    }
+  }
+}
+
+parentPort.on('message', ({ call, result, error }) => {
+  const { resolve, reject } = calls[call];
+  delete calls[call];
+  if (error !== undefined) {
+    reject(String(error));
+  } else {
+    resolve(String(result));
+  }
+});
+
+async function run() {
+  const { script, cpuTimeout } = workerData;
+  const context = vm.createContext({}, {
+    name: 'crawler',
+    codeGeneration: { strings: false, wasm: false },
+  });
+  vm.runInContext(bootstrap, context)(bridge);
+  // synchronous part is limited here, the rest is watched by the main thread
+  context.script = vm.runInContext(`(${script})`, context, { filename: 'crawler.js', timeout: cpuTimeout });
+  const result = await vm.runInContext('script(page)', context, { timeout: cpuTimeout });
+  return JSON.stringify(result === undefined ? null : result);
+}
+
+run().then((result) => {
+  parentPort.postMessage({ result });
+}, (e) => {
+  parentPort.postMessage({ error: String(e && e.message || e) });
+});
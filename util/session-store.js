@@ -0,0 +1,137 @@
+// storage of the session records, which let us restore sessions
+// after the proxy restart. record format is defined by the app,
+// the only required field is `session`, i.e. the session ID
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./infra-util');
+
+/**
+ * Session store which keeps records in memory,
+ * i.e. they survive the session but not the process
+ */
+function memorySessionStore() {
+  const records = {};
+
+  return {
+    /**
+     * Get all saved records
+     * @return {Promise<object[]>}
+     */
+    load: async function () {
+      return Object.values(records);
+    },
+
+    /**
+     * Save (insert or replace) the record
+     * @param record {object}
+     * @return {Promise<void>}
+     */
+    save: async function (record) {
+      records[record.session] = record;
+    },
+
+    /**
+     * Remove record of the session
+     * @param session {string}
+     * @return {Promise<void>}
+     */
+    remove: async function (session) {
+      delete records[session];
+    },
+  };
+}
+
+/**
+ * Session store which keeps records in a JSON file
+ * @param options {{path: string}}
+ */
+function fileSessionStore({ path: filePath }) {
+  // records are read once and then kept in memory,
+  // the file is rewritten as a whole on every change
+  let records = null;
+  let writing = Promise.resolve();
+
+  async function read() {
+    if (!records) {
+      let data;
+      try {
+        data = await fs.promises.readFile(filePath, 'utf8');
+      } catch (e) {
+        if (e.code !== 'ENOENT') {
+          throw e;
+        }
+        data = '{}';
+      }
+      try {
+        records = JSON.parse(data);
+        if (!records || typeof records != 'object' || Array.isArray(records)) {
+          throw new Error('Records must be an object');
+        }
+      } catch (e) {
+        // keep the corrupt file for investigation, and start over,
+        // otherwise nothing would be saved anymore
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        logger.warn('Session store %s is corrupt, moved to %s: %s', filePath, corruptPath, e.message);
+        await fs.promises.rename(filePath, corruptPath).catch((e) => logger.warn(e));
+        records = {};
+      }
+    }
+    return records;
+  }
+
+  function write() {
+    // chain writes so that they don't interleave, and write to a temporary
+    // file first to not leave half-written file if the process dies
+    const data = JSON.stringify(records);
+    writing = writing.catch(() => {}).then(async () => {
+      const tmpPath = filePath + '.tmp';
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    return writing;
+  }
+
+  return {
+    load: async function () {
+      return Object.values(await read());
+    },
+
+    save: async function (record) {
+      (await read())[record.session] = record;
+      await write();
+    },
+
+    remove: async function (session) {
+      const records = await read();
+      if (Object.hasOwn(records, session)) {
+        delete records[session];
+        await write();
+      }
+    },
+  };
+}
+
+/**
+ * Create session store of the configured type
+ * @param options {{type: 'memory'|'file', path: string}}
+ */
+function sessionStore(options) {
+  switch (options.type) {
+    case 'memory':
+      return memorySessionStore();
+
+    case 'file':
+      return fileSessionStore(options);
+
+    default:
+      throw new Error(`Unknown session store type: ${options.type}`);
+  }
+}
+
+module.exports = {
+  sessionStore,
+  memorySessionStore,
+  fileSessionStore,
+};
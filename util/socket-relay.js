@@ -0,0 +1,286 @@
+// relay of websockets opened by the proxied page to their targets,
+// the page's shim (see util/page-rewriter.js) opens them via the proxy.
+// connections are made by the proxy itself, so only public addresses are
+// let through, not to expose the proxy's network, e.g. devtools of the browsers.
+// the relay of a session with an upstream proxy (see util/upstream-proxy.js)
+// goes through the proxy, as the page's own connections do
+
+const dns = require('dns');
+const http = require('http');
+const net = require('net');
+const tls = require('tls');
+const { WebSocket, WebSocketServer } = require('ws');
+const { logger, httpError } = require('./infra-util');
+
+// addresses which are not reachable from the internet
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether the address is a public one
+ * @param address {string} IPv4 or IPv6 address
+ * @return {boolean}
+ */
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 address is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return !NON_PUBLIC.check(mapped[1], 'ipv4');
+  }
+  return !NON_PUBLIC.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve the host to the addresses
+ * @param host {string} domain name or IP address
+ * @return {Promise<{address: string, family: number}[]>}
+ */
+async function resolve(host) {
+  return net.isIP(host) ? [{ address: host, family: net.isIP(host) }] :
+    dns.promises.lookup(host, { all: true });
+}
+
+/**
+ * Check that the websocket URL can be connected to
+ * @param url {string}
+ * @param deniedHosts {string[]} hosts which must not be connected to
+ * besides the non-public ones, e.g. those of the browsers
+ * @return {Promise<{url: URL, address: string, family: number}>} URL with ws(s) scheme,
+ * and the address to connect to
+ */
+async function checkTarget(url, deniedHosts) {
+  let urlObj;
+  try {
+    urlObj = new URL(url.replace(/^http/, 'ws'));
+  } catch (e) {
+    throw httpError(400, `Malformed websocket URL: ${url}`);
+  }
+  if (urlObj.protocol !== 'ws:' && urlObj.protocol !== 'wss:') {
+    throw httpError(400, 'Websocket URL must be ws: or wss:');
+  }
+  const host = urlObj.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await resolve(host);
+  } catch (e) {
+    throw httpError(502, `Failed to resolve ${host}: ${e.code || e.message}`);
+  }
+  const denied = new Set((await Promise.all(deniedHosts.map((host) => resolve(host).catch(() => []))))
+      .flat().map(({ address }) => address));
+  if (!addresses.length || addresses.some(({ address }) => !isPublicAddress(address) || denied.has(address))) {
+    throw httpError(403, `Websocket host ${host} is not allowed`);
+  }
+  return { url: urlObj, ...addresses[0] };
+}
+
+/**
+ * Make close code which is allowed to be sent, some codes
+ * are only reported locally and can't be passed on
+ * @param code {number}
+ * @return {number}
+ */
+function sendableCloseCode(code) {
+  return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) ||
+  (code >= 3000 && code <= 4999) ? code : 1000;
+}
+
+/**
+ * Read the socket until the data is complete
+ * @param socket {Duplex}
+ * @param length {function(Buffer): number} length of the complete data,
+ * or 0 if more is needed
+ * @return {Promise<Buffer>} the data, what follows it is left in the socket
+ */
+function readComplete(socket, length) {
+  return new Promise((resolve, reject) => {
+    let data = Buffer.alloc(0);
+    const onData = (chunk) => {
+      data = Buffer.concat([data, chunk]);
+      const complete = length(data);
+      if (complete) {
+        cleanup();
+        socket.unshift(data.subarray(complete));
+        resolve(data.subarray(0, complete));
+      }
+    };
+    const onEnd = (e) => {
+      cleanup();
+      reject(e || new Error('Proxy closed the connection'));
+    };
+    const cleanup = () => {
+      socket.off('data', onData);
+      socket.off('error', onEnd);
+      socket.off('end', onEnd);
+    };
+    socket.on('data', onData);
+    socket.once('error', onEnd);
+    socket.once('end', onEnd);
+  });
+}
+
+/**
+ * Open a connection to the host through the upstream proxy
+ * @param proxy {{server: string, username: string, password: string}}
+ * @param host {string}
+ * @param port {number}
+ * @return {Promise<Duplex>}
+ */
+async function openTunnel(proxy, host, port) {
+  const server = new URL(proxy.server);
+  const socket = server.protocol === 'https:' ?
+    tls.connect({ host: server.hostname, port: server.port || 443, servername: server.hostname }) :
+    net.connect({ host: server.hostname, port: server.port || (server.protocol === 'http:' ? 80 : 1080) });
+  try {
+    await new Promise((resolve, reject) => {
+      socket.once(server.protocol === 'https:' ? 'secureConnect' : 'connect', resolve);
+      socket.once('error', reject);
+    });
+    if (server.protocol === 'socks5:') {
+      // no authentication, see util/upstream-proxy.js
+      socket.write(Buffer.from([5, 1, 0]));
+      const [, method] = await readComplete(socket, (data) => (data.length >= 2 ? 2 : 0));
+      if (method !== 0) {
+        throw new Error('SOCKS proxy requires authentication');
+      }
+      const name = Buffer.from(host);
+      socket.write(Buffer.concat([Buffer.from([5, 1, 0, 3, name.length]), name, Buffer.from([port >> 8, port & 255])]));
+      const reply = await readComplete(socket, (data) => {
+        if (data.length < 5) {
+          return 0;
+        }
+        const length = { 1: 10, 3: 7 + data[4], 4: 22 }[data[3]] || 10;
+        return data.length >= length ? length : 0;
+      });
+      if (reply[1] !== 0) {
+        throw new Error(`SOCKS proxy failed to connect, reply ${reply[1]}`);
+      }
+    } else if (server.protocol === 'socks4:') {
+      // SOCKS4a, the proxy resolves the host
+      socket.write(Buffer.concat([
+        Buffer.from([4, 1, port >> 8, port & 255, 0, 0, 0, 1, 0]), Buffer.from(host), Buffer.from([0]),
+      ]));
+      const reply = await readComplete(socket, (data) => (data.length >= 8 ? 8 : 0));
+      if (reply[1] !== 0x5a) {
+        throw new Error(`SOCKS proxy failed to connect, reply ${reply[1]}`);
+      }
+    } else {
+      const authority = `${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+      const authorization = proxy.username ?
+        `Proxy-Authorization: Basic ${Buffer.from(`${proxy.username}:${proxy.password}`).toString('base64')}\r\n` : '';
+      socket.write(`CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n${authorization}\r\n`);
+      const response = await readComplete(socket, (data) => {
+        const end = data.indexOf('\r\n\r\n');
+        return end === -1 ? 0 : end + 4;
+      });
+      const status = /^HTTP\/1\.\d (\d{3})/.exec(response.toString('latin1'));
+      if (!status || status[1] !== '200') {
+        throw new Error(`Proxy failed to connect, status ${status ? status[1] : 'unknown'}`);
+      }
+    }
+    return socket;
+  } catch (e) {
+    socket.destroy();
+    throw e;
+  }
+}
+
+/**
+ * Make agent which connects through the upstream proxy
+ * @param proxy {object} see {@link openTunnel}
+ * @param secure {boolean} whether TLS goes over the tunnel, i.e. for wss:
+ * @return {http.Agent}
+ */
+function tunnelAgent(proxy, secure) {
+  const agent = new http.Agent();
+  // https requests only take agents of https protocol
+  agent.protocol = secure ? 'https:' : 'http:';
+  agent.createConnection = (options, callback) => {
+    openTunnel(proxy, options.host, Number(options.port)).then((socket) => {
+      callback(null, secure ? tls.connect({
+        socket,
+        servername: net.isIP(options.host) ? undefined : options.host,
+      }) : socket);
+    }, callback);
+  };
+  return agent;
+}
+
+/**
+ * Websocket relay
+ */
+function socketRelay() {
+  // the protocol is picked by the target, and the client gets the same
+  const wss = new WebSocketServer({
+    noServer: true,
+    handleProtocols: (protocols, request) => request.upstreamProtocol || false,
+  });
+
+  return {
+    /**
+     * Connect to the target and relay the client's upgrade request to it
+     * @param request {IncomingMessage} upgrade request of the client
+     * @param socket {Duplex}
+     * @param head {Buffer}
+     * @param url {string} target websocket URL
+     * @param options {{headers: object, deniedHosts: string[], proxy: object}}
+     * `headers` to send to the target, e.g. cookies, `deniedHosts` are those
+     * not to connect to besides the non-public ones, `proxy` is the upstream
+     * proxy to go through, if any
+     * @return {Promise<void>} rejected if the target is not allowed,
+     * before anything is sent to the client
+     */
+    relay: async function (request, socket, head, url, { headers, deniedHosts = [], proxy = null }) {
+      const target = await checkTarget(url, deniedHosts);
+      const protocols = (request.headers['sec-websocket-protocol'] || '')
+          .split(',').map((p) => p.trim()).filter((p) => p);
+      const upstream = new WebSocket(target.url, protocols, proxy ? {
+        headers,
+        agent: tunnelAgent(proxy, target.url.protocol === 'wss:'),
+      } : {
+        headers,
+        // connect to the checked address, whatever the host resolves to now
+        lookup: (hostname, options, callback) => options.all ?
+          callback(null, [{ address: target.address, family: target.family }]) :
+          callback(null, target.address, target.family),
+      });
+
+      function fail(e) {
+        logger.warn('Failed to relay websocket to %s: %s', url, e);
+        socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n');
+      }
+
+      // the client may go away before the target answers
+      socket.once('close', () => {
+        if (upstream.readyState === WebSocket.CONNECTING) {
+          upstream.terminate();
+        }
+      });
+      upstream.once('error', fail);
+      upstream.once('unexpected-response', (req, res) => {
+        req.destroy();
+        fail(`status ${res.statusCode}`);
+      });
+      upstream.once('open', () => {
+        upstream.off('error', fail);
+        request.upstreamProtocol = upstream.protocol;
+        wss.handleUpgrade(request, socket, head, (ws) => {
+          ws.on('message', (data, isBinary) => upstream.send(data, { binary: isBinary }));
+          upstream.on('message', (data, isBinary) => ws.send(data, { binary: isBinary }));
+          ws.on('close', (code, reason) => upstream.close(sendableCloseCode(code), reason));
+          upstream.on('close', (code, reason) => ws.close(sendableCloseCode(code), reason));
+          ws.on('error', () => upstream.terminate());
+          upstream.on('error', () => ws.terminate());
+        });
+      });
+    },
+  };
+}
+
+module.exports = socketRelay;
@@ -0,0 +1,130 @@
+// helpers to stream data out of the browser without buffering it as a whole
+
+const { Readable, Transform } = require('stream');
+
+/**
+ * Make a readable stream out of CDP stream handle, e.g. returned by
+ * `Network.loadNetworkResource`, reading it chunk by chunk via `IO.read`
+ * @param cdp {CDPSession}
+ * @param handle {string}
+ * @param chunkSize {number}
+ * @return {Readable}
+ */
+function cdpStreamReadable(cdp, handle, chunkSize = 65536) {
+  return new Readable({
+    read: function () {
+      cdp.send('IO.read', { handle, size: chunkSize }).then(({ base64Encoded, data, eof }) => {
+        if (data) {
+          this.push(Buffer.from(data, base64Encoded ? 'base64' : 'utf8'));
+        }
+        if (eof) {
+          this.push(null);
+        }
+      }, (e) => this.destroy(e));
+    },
+
+    destroy: function (error, callback) {
+      cdp.send('IO.close', { handle }).catch(() => {}).then(() => callback(error));
+    },
+  });
+}
+
+/**
+ * Make a readable stream out of the handle of ReadableStreamDefaultReader
+ * living in the page, e.g. obtained from `fetch(...).body.getReader()`
+ * @param readerHandle {JSHandle}
+ * @return {Readable}
+ */
+function jsReaderReadable(readerHandle) {
+  return new Readable({
+    read: function () {
+      readerHandle.evaluate(async (reader) => {
+        const { done, value } = await reader.read();
+        if (done) {
+          return null;
+        }
+        // btoa accepts only binary strings, convert by parts
+        // to not exceed the maximum number of function arguments
+        let str = '';
+        for (let i = 0; i < value.length; i += 0x8000) {
+          str += String.fromCharCode.apply(null, value.subarray(i, i + 0x8000));
+        }
+        return btoa(str);
+      }).then((data) => {
+        this.push(data === null ? null : Buffer.from(data, 'base64'));
+      }, (e) => this.destroy(e));
+    },
+
+    destroy: function (error, callback) {
+      readerHandle.evaluate((reader) => reader.cancel())
+          .catch(() => {})
+          .then(() => readerHandle.dispose())
+          .catch(() => {})
+          .then(() => callback(error));
+    },
+  });
+}
+
+/**
+ * Parse Range header, only single byte range is supported
+ * @param header {string|undefined}
+ * @param size {number} full size of the content
+ * @return {{start: number, end: number}|null|false} inclusive range,
+ * null if the header is absent or not supported, false if range is not satisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  let start, end;
+  if (!match[1]) {
+    // suffix range, i.e. last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) {
+    return false;
+  }
+  return { start, end };
+}
+
+/**
+ * Make a transform stream which passes through only given range of bytes
+ * @param start {number}
+ * @param end {number} inclusive
+ * @return {Transform}
+ */
+function rangeTransform(start, end) {
+  let offset = 0;
+  return new Transform({
+    transform: function (chunk, encoding, callback) {
+      if (offset > end) {
+        // everything needed has been passed already
+        callback();
+        return;
+      }
+      const chunkStart = Math.max(start - offset, 0);
+      const chunkEnd = Math.min(end + 1 - offset, chunk.length);
+      offset += chunk.length;
+      if (chunkStart < chunkEnd) {
+        this.push(chunk.subarray(chunkStart, chunkEnd));
+      }
+      if (offset > end) {
+        // don't wait for the rest
+        this.push(null);
+      }
+      callback();
+    },
+  });
+}
+
+module.exports = {
+  cdpStreamReadable,
+  jsReaderReadable,
+  parseRange,
+  rangeTransform,
+};
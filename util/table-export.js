@@ -0,0 +1,74 @@
+// export of 2D arrays of data returned by the crawlers, streamed row by row
+
+const { Readable } = require('stream');
+
+// supported formats and their content types
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+};
+
+/**
+ * Format value as CSV field (RFC 4180), non-scalar values are written as JSON
+ * @param value {*}
+ * @return {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value == 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate lines of the table in the format
+ * @param rows {Array[]}
+ * @param format {'csv'|'json'|'ndjson'}
+ */
+function* tableLines(rows, format) {
+  switch (format) {
+    case 'csv':
+      for (const row of rows) {
+        yield (Array.isArray(row) ? row : [row]).map(csvField).join(',') + '\r\n';
+      }
+      break;
+
+    case 'json':
+      yield '[';
+      for (let i = 0; i < rows.length; i++) {
+        yield (i ? ',\n' : '\n') + JSON.stringify(rows[i]);
+      }
+      yield '\n]\n';
+      break;
+
+    case 'ndjson':
+      for (const row of rows) {
+        yield JSON.stringify(row) + '\n';
+      }
+      break;
+  }
+}
+
+/**
+ * Make a stream of the table in the format
+ * @param rows {Array[]}
+ * @param format {'csv'|'json'|'ndjson'}
+ * @return {{contentType: string, stream: Readable}}
+ */
+function exportTable(rows, format) {
+  if (!Object.hasOwn(FORMATS, format)) {
+    throw new Error(`Unknown format: ${format}`);
+  }
+  return {
+    contentType: FORMATS[format],
+    stream: Readable.from(tableLines(Array.isArray(rows) ? rows : [rows], format),
+        { objectMode: false }),
+  };
+}
+
+module.exports = {
+  FORMATS,
+  exportTable,
+};
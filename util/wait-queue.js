@@ -0,0 +1,114 @@
+// FIFO queue of those waiting for something, e.g. a free slot in the pool
+
+const { httpError } = require('./infra-util');
+
+/**
+ * Wait queue
+ * @param options {{maxLength: number, maxWait: number, retryAfter: number}}
+ */
+function waitQueue({ maxLength, maxWait, retryAfter }) {
+  const waiters = [];
+
+  function notifyPositions() {
+    waiters.forEach((waiter, i) => {
+      if (waiter.onPosition && waiter.position !== i + 1) {
+        waiter.position = i + 1;
+        waiter.onPosition(waiter.position);
+      }
+    });
+  }
+
+  function remove(waiter) {
+    const i = waiters.indexOf(waiter);
+    if (i !== -1) {
+      waiters.splice(i, 1);
+      clearTimeout(waiter.timeout);
+      notifyPositions();
+    }
+  }
+
+  return {
+    get length() {
+      return waiters.length;
+    },
+
+    /**
+     * Make an error to respond with if the caller can't (or don't want to) wait
+     * @param message {string}
+     * @return {Error}
+     */
+    unavailable: function (message) {
+      const error = httpError(503, message);
+      error.retryAfter = retryAfter;
+      return error;
+    },
+
+    /**
+     * Wait for the turn
+     * @param options {{
+     *   onPosition: function(number),
+     *   signal: AbortSignal,
+     *   first: boolean,
+     *   deadline: number
+     * }} `onPosition` is called with 1-based position every time it changes,
+     * `signal` cancels waiting, `first` puts the waiter in the head of the
+     * queue, e.g. if its turn has come but it has failed to use it,
+     * `deadline` is the time to stop waiting at if the waiter has waited
+     * before, maxWait from now by default
+     * @return {Promise<void>}
+     */
+    wait: function ({ onPosition, signal, first, deadline = Date.now() + maxWait } = {}) {
+      if (signal && signal.aborted) {
+        return Promise.reject(new Error('Waiting cancelled'));
+      }
+      if (!first && waiters.length >= maxLength) {
+        return Promise.reject(this.unavailable('Queue is full.'));
+      }
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          remove(waiter);
+          reject(new Error('Waiting cancelled'));
+        };
+        const waiter = {
+          resolve: () => {
+            if (signal) {
+              signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+          },
+          onPosition,
+        };
+        waiter.timeout = setTimeout(() => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          remove(waiter);
+          reject(this.unavailable(`Exceeded wait time ${maxWait}`));
+        }, Math.max(deadline - Date.now(), 0));
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+        if (first) {
+          waiters.unshift(waiter);
+        } else {
+          waiters.push(waiter);
+        }
+        notifyPositions();
+      });
+    },
+
+    /**
+     * Let the first waiter go
+     */
+    next: function () {
+      const waiter = waiters.shift();
+      if (waiter) {
+        clearTimeout(waiter.timeout);
+        waiter.resolve();
+        notifyPositions();
+      }
+    },
+  };
+}
+
+module.exports = waitQueue;